@@ -0,0 +1,446 @@
+// Response cache
+// Model outputs are saved in CACHE_DIR as <stage>-<key>.json. The key hashes the
+// stage, the cache schema version and the request's cache input (everything
+// that shapes the output, see requestCacheInput() in index.js). Entries record
+// the schema version and their input, so an entry from an older lang-gen is
+// ignored instead of being served for a request it was not made for.
+// Entries can be pinned, which exempts them from the TTL and size limits.
+
+import { promises as fs } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { emitEvent } from './events.js';
+import { recordCachedUsage } from './usage.js';
+import { stableStringify } from './replay.js';
+import { getRunContext } from './run-context.js';
+
+// Bump when the shape of cache inputs or entries changes
+export const CACHE_SCHEMA_VERSION = 2;
+
+// Cache configuration (can be overridden by environment variables)
+export const READ_FROM_CACHE = process.env.LANG_GEN_READ_CACHE === 'true';  // Default false, set LANG_GEN_READ_CACHE=true to enable
+export const WRITE_TO_CACHE = process.env.LANG_GEN_WRITE_CACHE !== 'false';  // Default true, set LANG_GEN_WRITE_CACHE=false to disable
+// Compiled parsers depend on nothing but their input, so they are read even with
+// LANG_GEN_READ_CACHE off (see getCached's `read` option)
+export const READ_PARSER_CACHE = process.env.LANG_GEN_READ_PARSER_CACHE !== 'false';  // Default true, set LANG_GEN_READ_PARSER_CACHE=false to disable
+export const CACHE_DIR = process.env.LANG_GEN_CACHE_DIR || join(new URL('.', import.meta.url).pathname, '.cache');
+
+export function getCacheKey(stage, input) {
+  return crypto.createHash('sha256')
+    .update(stableStringify({ schemaVersion: CACHE_SCHEMA_VERSION, stage, input }))
+    .digest('hex');
+}
+
+function cachePath(stage, key) {
+  return join(CACHE_DIR, `${stage}-${key}.json`);
+}
+
+// An entry is only used for the exact request it was saved for
+function isUsableEntry(entry, stage, input) {
+  return entry.schemaVersion === CACHE_SCHEMA_VERSION
+    && entry.stage === stage
+    && stableStringify(entry.input) === stableStringify(input);
+}
+
+// Older than the TTL (pinned entries never expire)
+function isExpired(entry, now = Date.now()) {
+  const { ttlMs } = getCacheLimits();
+  return Boolean(ttlMs && !entry.pinned && now - Date.parse(entry.timestamp) > ttlMs);
+}
+
+// `read` overrides READ_FROM_CACHE for stages with their own setting
+export async function getCached(stage, input, { read = READ_FROM_CACHE } = {}) {
+  if (!read) return null;
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const key = getCacheKey(stage, input);
+
+    let data;
+    try {
+      data = await fs.readFile(cachePath(stage, key), 'utf8');
+    } catch {
+      emitEvent('cache.miss', { stage, key });
+      return null;
+    }
+    const entry = JSON.parse(data);
+    if (!isUsableEntry(entry, stage, input)) {
+      log.warn(`[CACHE STALE] Ignoring ${stage} entry ${key.slice(0, 8)}... (schema version ${entry.schemaVersion ?? 1}, expected ${CACHE_SCHEMA_VERSION})`);
+      emitEvent('cache.miss', { stage, key, stale: true });
+      return null;
+    }
+    if (isExpired(entry)) {
+      emitEvent('cache.miss', { stage, key, expired: true });
+      return null;
+    }
+    log.info(`[CACHE HIT] Using cached ${stage} (key: ${key.slice(0, 8)}...)`);
+    emitEvent('cache.hit', { stage, key });
+    recordCachedUsage(stage, entry.usage);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+// Like getCached(), but for --plan: never creates the cache directory or emits events
+export async function peekCache(stage, input) {
+  const key = getCacheKey(stage, input);
+  if (!READ_FROM_CACHE) return { key, entry: null };
+
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath(stage, key), 'utf8'));
+    return { key, entry: isUsableEntry(entry, stage, input) && !isExpired(entry) ? entry : null };
+  } catch {
+    return { key, entry: null };
+  }
+}
+
+// `usage` is what generating the output cost, so cache hits can report tokens saved
+export async function saveCache(stage, input, output, usage = null) {
+  if (!WRITE_TO_CACHE) return;
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const key = getCacheKey(stage, input);
+    // Regenerating a pinned entry (e.g. with cache reads off) keeps it pinned
+    const pinned = await fs.readFile(cachePath(stage, key), 'utf8').then(data => JSON.parse(data).pinned === true).catch(() => false);
+
+    await fs.writeFile(cachePath(stage, key), JSON.stringify({
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      stage,
+      key,
+      input,
+      output,
+      usage,
+      timestamp: new Date().toISOString(),
+      ...(pinned ? { pinned } : {})
+    }, null, 2), 'utf8');
+
+    log.info(`[CACHE WRITE] Saved ${stage} to cache (key: ${key.slice(0, 8)}...)`);
+    emitEvent('cache.write', { stage, key });
+
+    const { ttlMs, maxBytes } = getCacheLimits();
+    if (ttlMs || maxBytes) {
+      const removed = await pruneCache({ keep: key });
+      if (removed.length > 0) {
+        log.info(`[CACHE PRUNE] Removed ${removed.length} old cache entr${removed.length === 1 ? 'y' : 'ies'} (${formatBytes(removed.reduce((bytes, item) => bytes + item.size, 0))})`);
+      }
+    }
+  } catch (err) {
+    log.error(`[CACHE ERROR] Failed to cache ${stage}:`, err.message);
+  }
+}
+
+// ---- Limits ----
+// Set from --cache-ttl / --cache-max-size (config: cache.ttl, cache.maxSize) and
+// enforced by saveCache(); 0 means no limit. Pinned entries are never removed.
+// Each pipeline run has its own (`limits` in run-context.js); configureCache()
+// sets them for everything else.
+let defaultLimits = { ttlMs: 0, maxBytes: 0 };
+
+export function cacheLimits({ ttl = '', maxSize = '' } = {}) {
+  return { ttlMs: parseDuration(ttl), maxBytes: parseSize(maxSize) };
+}
+
+export function configureCache(options) {
+  defaultLimits = cacheLimits(options);
+}
+
+export function getCacheLimits() {
+  return { ...(getRunContext().limits ?? defaultLimits) };
+}
+
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// "90m", "12h", "7d" -> milliseconds ('' -> 0)
+export function parseDuration(text) {
+  if (!text) return 0;
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid duration "${text}" (e.g. 30m, 12h, 7d, 2w)`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// "500MB", "2gb", "64kb", "1000" -> bytes ('' -> 0)
+export function parseSize(text) {
+  if (!text) return 0;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid size "${text}" (e.g. 64KB, 500MB, 2GB)`);
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
+
+export function formatAge(ms) {
+  const [unit, size] = Object.entries(DURATION_UNITS).reverse().find(([, size]) => ms >= size) || ['s', 1000];
+  return `${Math.floor(ms / size)}${unit}`;
+}
+
+// ---- Entries ----
+const ENTRY_FILE = /^([a-z]+)-([0-9a-f]{64})\.json$/;
+
+// Every entry in CACHE_DIR, oldest first: { file, stage, key, size, createdAt (ms),
+// pinned, stale, entry }. `stale` entries are unreadable or from an older cache
+// schema; getCached() never uses them. With `read: false` only the file is
+// stat'ed: createdAt is its mtime (entry files keep their timestamp as mtime,
+// see writeEntryFile) and pinned, stale and entry are left for readCacheEntry().
+export async function listCacheEntries({ stage, olderThan = 0, now = Date.now(), read = true } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(CACHE_DIR);
+  } catch {
+    return [];
+  }
+
+  const items = [];
+  for (const name of names) {
+    const match = ENTRY_FILE.exec(name);
+    if (!match || (stage && match[1] !== stage)) continue;
+    const file = join(CACHE_DIR, name);
+    const stats = await fs.stat(file).catch(() => null);
+    if (!stats) continue;
+    const item = { file, stage: match[1], key: match[2], size: stats.size, createdAt: stats.mtimeMs };
+    items.push(read ? await readCacheEntry(item) : item);
+  }
+  return items
+    .filter(item => !olderThan || now - item.createdAt >= olderThan)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// An item from listCacheEntries() with its entry read
+async function readCacheEntry(item) {
+  const entry = await fs.readFile(item.file, 'utf8').then(JSON.parse).catch(() => null);
+  return {
+    ...item,
+    createdAt: Date.parse(entry?.timestamp) || item.createdAt,
+    pinned: Boolean(entry?.pinned),
+    stale: entry?.schemaVersion !== CACHE_SCHEMA_VERSION,
+    entry
+  };
+}
+
+// Write an entry file whose mtime is the entry's timestamp, so its age can be
+// told without reading it
+async function writeEntryFile(file, entry) {
+  await fs.writeFile(file, JSON.stringify(entry, null, 2), 'utf8');
+  const time = new Date(entry.timestamp);
+  if (!Number.isNaN(time.getTime())) await fs.utimes(file, time, time);
+}
+
+// The entry whose key starts with `prefix` (at least 4 characters, like git)
+export async function findCacheEntry(prefix) {
+  const matches = prefix && prefix.length >= 4
+    ? (await listCacheEntries()).filter(item => item.key.startsWith(prefix))
+    : [];
+  if (matches.length === 1) return matches[0];
+
+  const error = new Error(matches.length > 1
+    ? `Cache key "${prefix}" is ambiguous (${matches.length} entries); give more characters`
+    : `No cache entry with key "${prefix}" (give at least 4 characters of a key from \`lang-gen cache list\`)`);
+  error.code = 'CACHE_ENTRY_NOT_FOUND';
+  throw error;
+}
+
+// One-line description of what an entry was generated for
+export function describeCacheEntry(item) {
+  if (!item.entry) return '(unreadable)';
+  const { variables, larkJsVersion, grammarText } = item.entry.input || {};
+  const description = larkJsVersion ? `lark-js ${larkJsVersion}: ${grammarText}` : variables?.spec;
+  return (description || '').replace(/\s+/g, ' ').slice(0, 50);
+}
+
+export async function removeCacheEntries(items) {
+  for (const item of items) {
+    await fs.rm(item.file, { force: true });
+  }
+  return items.reduce((bytes, item) => bytes + item.size, 0);
+}
+
+export async function setCacheEntryPinned(item, pinned) {
+  const { pinned: _, ...entry } = item.entry;
+  await writeEntryFile(item.file, pinned ? { ...entry, pinned: true } : entry);
+}
+
+// Remove unpinned entries older than the TTL (or `olderThan`), then the oldest
+// ones until the whole cache fits in the size limit; with `removeStale`, also
+// entries from an older cache schema. Entries are ordered and measured by stat
+// alone and only read to check the pin of one about to be removed, so the
+// prune after every saveCache() does not read the whole cache. `stage` limits
+// what may be removed; `keep` names a key that is never removed (the entry
+// saveCache() just wrote). Returns the removed entries, each with the `reason`
+// it was removed for.
+export async function pruneCache({ stage, olderThan = 0, keep = null, removeStale = false, now = Date.now() } = {}) {
+  const limits = getCacheLimits();
+  const ttlMs = olderThan || limits.ttlMs;
+  const inScope = item => item.key !== keep && (!stage || item.stage === stage);
+  const removed = [];
+  const remaining = [];
+
+  for (const item of await listCacheEntries({ now, read: false })) {
+    const expired = Boolean(ttlMs && now - item.createdAt > ttlMs);
+    if (!inScope(item) || !(expired || removeStale)) {
+      remaining.push(item);
+      continue;
+    }
+    const read = await readCacheEntry(item);
+    if (read.pinned) {
+      remaining.push(read);
+    } else if (read.stale) {
+      removed.push({ ...read, reason: 'stale' });
+    } else if (expired) {
+      removed.push({ ...read, reason: 'expired' });
+    } else {
+      remaining.push(read);
+    }
+  }
+
+  if (limits.maxBytes) {
+    let total = remaining.reduce((bytes, item) => bytes + item.size, 0);
+    for (const item of remaining) {
+      if (total <= limits.maxBytes) break;
+      if (!inScope(item)) continue;
+      const read = 'entry' in item ? item : await readCacheEntry(item);
+      if (read.pinned) continue;
+      removed.push({ ...read, reason: 'size' });
+      total -= item.size;
+    }
+  }
+
+  await removeCacheEntries(removed);
+  return removed;
+}
+
+// ---- Bundles (lang-gen cache export / import) ----
+// A bundle is one JSON file (gzipped when the name ends in .gz) holding cache
+// entries with a SHA-256 of each, so it can be checked into a repository and
+// imported on another machine for offline, reproducible runs.
+const BUNDLE_FORMAT = 'lang-gen-cache-bundle';
+const BUNDLE_VERSION = 1;
+export const CONFLICT_POLICIES = ['keep', 'replace', 'newer'];
+
+// The pin is local state, not content
+function entryContent({ pinned, ...entry }) {
+  return entry;
+}
+
+function entryHash(entry) {
+  return crypto.createHash('sha256').update(stableStringify(entryContent(entry))).digest('hex');
+}
+
+// Same request and same output (timestamps and usage may differ)
+function sameResult(a, b) {
+  return stableStringify([a.input, a.output]) === stableStringify([b.input, b.output]);
+}
+
+// Bundle entries name their own file (<stage>-<key>.json), so both are checked
+// before anything is written: a stage like "../x" would land outside CACHE_DIR
+const STAGE_NAME = /^[a-z]+$/;
+const CACHE_KEY = /^[0-9a-f]{64}$/;
+
+function bundleError(message) {
+  const error = new Error(message);
+  error.code = 'CACHE_BUNDLE_INVALID';
+  return error;
+}
+
+// Write the selected entries (see listCacheEntries) to `file`; stale entries are left out
+export async function exportCacheBundle(file, { stage, olderThan = 0, pinnedOnly = false } = {}) {
+  const items = (await listCacheEntries({ stage, olderThan }))
+    .filter(item => !item.stale && (!pinnedOnly || item.pinned));
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    cacheSchemaVersion: CACHE_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    entries: items.map(item => ({ stage: item.stage, key: item.key, sha256: entryHash(item.entry), entry: item.entry }))
+  };
+
+  const json = JSON.stringify(bundle, null, 2);
+  await fs.mkdir(dirname(resolve(file)), { recursive: true });
+  await fs.writeFile(file, file.endsWith('.gz') ? gzipSync(json) : json);
+  return { count: items.length, bytes: items.reduce((bytes, item) => bytes + item.size, 0) };
+}
+
+// Read and check a bundle: every entry must match its hash and be stored under
+// the key its input hashes to. Nothing is imported from a bundle that fails.
+async function readCacheBundle(file) {
+  let bundle;
+  try {
+    const data = await fs.readFile(file);
+    bundle = JSON.parse(file.endsWith('.gz') ? gunzipSync(data).toString('utf8') : data.toString('utf8'));
+  } catch (err) {
+    throw bundleError(`Could not read cache bundle ${file}: ${err.message}`);
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.entries)) {
+    throw bundleError(`${file} is not a lang-gen cache bundle`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw bundleError(`${file} has bundle version ${bundle.version}; this lang-gen reads version ${BUNDLE_VERSION}`);
+  }
+
+  const problems = [];
+  for (const [i, { stage, key, sha256, entry }] of bundle.entries.entries()) {
+    const label = `entry ${i + 1} (${stage}-${String(key).slice(0, 12)})`;
+    if (typeof stage !== 'string' || !STAGE_NAME.test(stage)) {
+      problems.push(`${label}: ${JSON.stringify(stage)} is not a stage name`);
+    } else if (typeof key !== 'string' || !CACHE_KEY.test(key)) {
+      problems.push(`${label}: ${JSON.stringify(key)} is not a SHA-256 cache key`);
+    } else if (!entry || entryHash(entry) !== sha256) {
+      problems.push(`${label}: content does not match its SHA-256`);
+    } else if (entry.schemaVersion === CACHE_SCHEMA_VERSION && (entry.stage !== stage || getCacheKey(stage, entry.input) !== key)) {
+      problems.push(`${label}: key does not match the entry's input`);
+    }
+  }
+  if (problems.length > 0) {
+    throw bundleError(`Cache bundle ${file} failed verification:\n  - ${problems.join('\n  - ')}`);
+  }
+  return bundle;
+}
+
+// Add the entries of a verified bundle to the cache. An entry whose key is already
+// cached with a different result is a conflict, settled by `onConflict`:
+// keep the local entry, replace it, or keep whichever is newer.
+// Returns { added, unchanged, replaced, kept, skipped } lists of { stage, key }.
+export async function importCacheBundle(file, { onConflict = 'keep' } = {}) {
+  const bundle = await readCacheBundle(file);
+  const result = { added: [], unchanged: [], replaced: [], kept: [], skipped: [] };
+
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  for (const { stage, key, entry } of bundle.entries) {
+    // Entries from another cache schema would never be used here
+    if (entry.schemaVersion !== CACHE_SCHEMA_VERSION) {
+      result.skipped.push({ stage, key });
+      continue;
+    }
+
+    const path = cachePath(stage, key);
+    const local = await fs.readFile(path, 'utf8').then(JSON.parse).catch(() => null);
+    let outcome;
+    if (!local || local.schemaVersion !== CACHE_SCHEMA_VERSION) {
+      outcome = 'added';
+    } else if (sameResult(local, entry)) {
+      outcome = 'unchanged';
+    } else if (onConflict === 'replace' || (onConflict === 'newer' && Date.parse(entry.timestamp) > Date.parse(local.timestamp))) {
+      outcome = 'replaced';
+    } else {
+      outcome = 'kept';
+    }
+
+    result[outcome].push({ stage, key });
+    if (outcome === 'added' || outcome === 'replaced') {
+      // A local pin survives the replacement
+      const pinned = entry.pinned || local?.pinned;
+      await writeEntryFile(path, { ...entryContent(entry), ...(pinned ? { pinned: true } : {}) });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,268 @@
+// Project config loader for lang-gen
+// Reads langgen.config.json / langgen.config.yaml and validates it
+
+import { promises as fs } from 'fs';
+import { join, resolve, dirname, extname } from 'path';
+import YAML from 'yaml';
+import { MODEL_ROLES, REASONING_EFFORTS, VERBOSITY_LEVELS, roleOptionNames } from './models.js';
+
+export const CONFIG_FILENAMES = ['langgen.config.json', 'langgen.config.yaml', 'langgen.config.yml'];
+
+const MODEL_SETTINGS_SCHEMA = {
+  model: 'string',
+  reasoningEffort: REASONING_EFFORTS,
+  verbosity: VERBOSITY_LEVELS
+};
+
+// Allowed keys and their types. Nested objects describe sub-sections,
+// arrays list the allowed values of an enum.
+const CONFIG_SCHEMA = {
+  spec: 'string',
+  specFile: 'string',
+  grammarFile: 'string',
+  semantics: 'string',
+  semanticsFile: 'string',
+  sample: 'string',
+  samples: 'string[]',
+  sampleFiles: 'string[]',
+  output: 'string',
+  model: 'string',
+  reasoningEffort: REASONING_EFFORTS,
+  verbosity: VERBOSITY_LEVELS,
+  // Per-prompt overrides, e.g. models.grammar.model
+  models: Object.fromEntries(MODEL_ROLES.map(role => [role, MODEL_SETTINGS_SCHEMA])),
+  provider: {
+    type: ['openai', 'openai-compatible'],
+    baseURL: 'string',
+    apiKeyEnv: 'string',
+    grammarParam: 'string',
+    recordDir: 'string',
+    replayDir: 'string'
+  },
+  nonInteractive: 'boolean',
+  onTestFailure: ['autofix', 'continue', 'fail'],
+  maxAutofix: 'integer',
+  maxTokensBudget: 'integer',
+  requestTimeout: 'integer',
+  concurrency: 'integer',
+  grammarCandidates: 'integer',
+  fewShot: 'boolean',
+  promptsDir: 'string',
+  cache: {
+    ttl: 'string',
+    maxSize: 'string'
+  },
+  events: ['ndjson'],
+  eventsFile: 'string',
+  vscode: {
+    enabled: 'boolean',
+    languageId: 'string',
+    languageName: 'string',
+    fileExtension: 'string'
+  }
+};
+
+// ---- Config discovery and loading ----
+export async function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILENAMES) {
+    const candidate = join(cwd, name);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+export async function loadConfig(configPath) {
+  const absolutePath = resolve(configPath);
+
+  let text;
+  try {
+    text = await fs.readFile(absolutePath, 'utf8');
+  } catch (err) {
+    const error = new Error(`Could not read config file ${configPath}: ${err.message}`);
+    error.code = 'CONFIG_INVALID';
+    throw error;
+  }
+
+  let raw;
+  try {
+    const ext = extname(absolutePath).toLowerCase();
+    raw = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    const error = new Error(`Could not parse config file ${configPath}: ${err.message}`);
+    error.code = 'CONFIG_INVALID';
+    throw error;
+  }
+
+  const issues = validateConfig(raw ?? {});
+  if (issues.length > 0) {
+    const error = new Error(`Invalid config file ${configPath}:\n${issues.map(i => `  - ${i}`).join('\n')}`);
+    error.code = 'CONFIG_INVALID';
+    error.issues = issues;
+    throw error;
+  }
+
+  return normalizeConfig(raw ?? {}, dirname(absolutePath));
+}
+
+// ---- Schema validation ----
+export function validateConfig(raw, schema = CONFIG_SCHEMA, path = '') {
+  const issues = [];
+
+  // An empty YAML section (`provider:`) is null
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    issues.push(`${path ? `"${path}"` : 'config'} must be an object, got ${describeType(raw)}`);
+    return issues;
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    const expected = schema[key];
+
+    if (expected === undefined) {
+      const suggestion = closestKey(key, Object.keys(schema));
+      issues.push(`Unknown key "${keyPath}"${suggestion ? ` (did you mean "${path ? `${path}.` : ''}${suggestion}"?)` : ''}`);
+      continue;
+    }
+
+    if (Array.isArray(expected)) {
+      if (!expected.includes(value)) {
+        issues.push(`"${keyPath}" must be one of ${expected.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      continue;
+    }
+
+    if (typeof expected === 'object') {
+      // Sections may also be given as a plain boolean, e.g. `vscode: true`
+      if (typeof value === 'boolean' && 'enabled' in expected) continue;
+      issues.push(...validateConfig(value, expected, keyPath));
+      continue;
+    }
+
+    if (!matchesType(value, expected)) {
+      issues.push(`"${keyPath}" must be ${TYPE_NAMES[expected]}, got ${describeType(value)}`);
+    }
+  }
+
+  return issues;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value) && value >= 0;
+  }
+  if (type === 'string[]') {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+  }
+  return typeof value === type;
+}
+
+const TYPE_NAMES = {
+  'string': 'a string',
+  'string[]': 'a string or array of strings',
+  'boolean': 'a boolean',
+  'integer': 'a non-negative integer'
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+// ---- Normalization ----
+// Flattens the file layout into the same shape parseArgs() produces,
+// so CLI flags can be layered on top with a plain object spread.
+function normalizeConfig(raw, baseDir) {
+  const options = {};
+
+  if (raw.spec !== undefined) options.spec = raw.spec;
+  if (raw.semantics !== undefined) options.semantics = raw.semantics;
+  if (raw.model !== undefined) options.model = raw.model;
+  if (raw.reasoningEffort !== undefined) options.reasoningEffort = raw.reasoningEffort;
+  if (raw.verbosity !== undefined) options.verbosity = raw.verbosity;
+  if (raw.nonInteractive !== undefined) options.nonInteractive = raw.nonInteractive;
+  if (raw.onTestFailure !== undefined) options.onTestFailure = raw.onTestFailure;
+  if (raw.maxAutofix !== undefined) options.maxAutofix = raw.maxAutofix;
+  if (raw.maxTokensBudget !== undefined) options.maxTokensBudget = raw.maxTokensBudget;
+  if (raw.requestTimeout !== undefined) options.requestTimeout = raw.requestTimeout;
+  if (raw.concurrency !== undefined) options.concurrency = raw.concurrency;
+  if (raw.grammarCandidates !== undefined) options.grammarCandidates = raw.grammarCandidates;
+  if (raw.fewShot !== undefined) options.fewShot = raw.fewShot;
+  if (raw.specFile !== undefined) options.specFile = resolve(baseDir, raw.specFile);
+  if (raw.grammarFile !== undefined) options.grammarFile = resolve(baseDir, raw.grammarFile);
+  if (raw.semanticsFile !== undefined) options.semanticsFile = resolve(baseDir, raw.semanticsFile);
+  if (raw.sampleFiles !== undefined) options.sampleFiles = [].concat(raw.sampleFiles).map(file => resolve(baseDir, file));
+  if (raw.output !== undefined) options.output = resolve(baseDir, raw.output);
+  if (raw.events !== undefined) options.events = raw.events;
+  if (raw.eventsFile !== undefined) options.eventsFile = resolve(baseDir, raw.eventsFile);
+  if (raw.promptsDir !== undefined) options.promptsDir = resolve(baseDir, raw.promptsDir);
+
+  const samples = [];
+  if (raw.sample !== undefined) samples.push(raw.sample);
+  if (raw.samples !== undefined) samples.push(...[].concat(raw.samples));
+  if (samples.length > 0) options.samples = samples;
+
+  if (raw.provider) {
+    if (raw.provider.type !== undefined) options.providerType = raw.provider.type;
+    if (raw.provider.baseURL !== undefined) options.baseURL = raw.provider.baseURL;
+    if (raw.provider.apiKeyEnv !== undefined) options.apiKeyEnv = raw.provider.apiKeyEnv;
+    if (raw.provider.grammarParam !== undefined) options.grammarParam = raw.provider.grammarParam;
+    if (raw.provider.recordDir !== undefined) options.recordDir = resolve(baseDir, raw.provider.recordDir);
+    if (raw.provider.replayDir !== undefined) options.replayDir = resolve(baseDir, raw.provider.replayDir);
+  }
+
+  if (raw.cache) {
+    if (raw.cache.ttl !== undefined) options.cacheTtl = raw.cache.ttl;
+    if (raw.cache.maxSize !== undefined) options.cacheMaxSize = raw.cache.maxSize;
+  }
+
+  for (const [role, settings] of Object.entries(raw.models || {})) {
+    const names = roleOptionNames(role);
+    for (const key of ['model', 'reasoningEffort', 'verbosity']) {
+      if (settings[key] !== undefined) options[names[key]] = settings[key];
+    }
+  }
+
+  if (typeof raw.vscode === 'boolean') {
+    options.vscode = raw.vscode;
+  } else if (raw.vscode) {
+    options.vscode = raw.vscode.enabled ?? true;
+    if (raw.vscode.languageId !== undefined) options.languageId = raw.vscode.languageId;
+    if (raw.vscode.languageName !== undefined) options.languageName = raw.vscode.languageName;
+    if (raw.vscode.fileExtension !== undefined) options.fileExtension = raw.vscode.fileExtension;
+  }
+
+  return options;
+}
@@ -0,0 +1,66 @@
+// Structured pipeline events
+// Writes one JSON object per line (NDJSON) to stdout or a file, and
+// forwards every event to in-process listeners. The human-readable log goes
+// to stderr (as does what a generated interpreter prints during the test
+// stage), so stdout carries nothing but events.
+
+import { openSync, writeSync, closeSync } from 'fs';
+import { getRunContext, withRunContext } from './run-context.js';
+
+export const EVENT_FORMATS = ['ndjson'];
+
+let sinkFd = null;
+let ownsSinkFd = false;
+const listeners = new Set();
+
+// Enable the NDJSON sink. Without a file, events go to stdout.
+// Writes are synchronous so nothing is lost when the process exits early.
+export function configureEvents({ format, file } = {}) {
+  closeEvents();
+  if (!format) return;
+
+  if (!EVENT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported event format "${format}" (expected one of: ${EVENT_FORMATS.join(', ')})`);
+  }
+
+  if (file) {
+    sinkFd = openSync(file, 'a');
+    ownsSinkFd = true;
+  } else {
+    sinkFd = process.stdout.fd;
+  }
+}
+
+export function closeEvents() {
+  if (sinkFd !== null && ownsSinkFd) {
+    closeSync(sinkFd);
+  }
+  sinkFd = null;
+  ownsSinkFd = false;
+}
+
+export function onEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Run fn with `listener` receiving the events emitted inside it (including from
+// nested async calls), and not those of anything running alongside
+export function withEventListener(listener, fn) {
+  return withRunContext({ listeners: [...(getRunContext().listeners ?? []), listener] }, fn);
+}
+
+export function emitEvent(type, fields = {}) {
+  const scoped = getRunContext().listeners ?? [];
+  if (sinkFd === null && listeners.size === 0 && scoped.length === 0) return;
+
+  const event = { type, time: new Date().toISOString(), ...fields };
+
+  for (const listener of [...listeners, ...scoped]) {
+    listener(event);
+  }
+
+  if (sinkFd !== null) {
+    writeSync(sinkFd, JSON.stringify(event) + '\n');
+  }
+}
@@ -0,0 +1,132 @@
+// Few-shot reference grammars
+// An index of grammars that compiled (and whether they passed their samples),
+// with the spec each was written for, kept in CACHE_DIR/grammar-index.json.
+// A new spec gets the grammars of the most similar earlier specs as reference
+// examples in the grammar prompt (--no-few-shot turns this off).
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { CACHE_DIR, WRITE_TO_CACHE, listCacheEntries } from './cache.js';
+
+const INDEX_FILE = join(CACHE_DIR, 'grammar-index.json');
+const MAX_INDEX_ENTRIES = 500;
+const MAX_REFERENCE_CHARS = 6000;   // longer grammars cost more than they help
+export const DEFAULT_REFERENCE_LIMIT = 2;
+export const MIN_SIMILARITY = 0.2;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'with', 'for', 'to', 'in', 'on', 'or', 'language', 'simple', 'tiny', 'small']);
+
+function grammarHash(grammarText) {
+  return crypto.createHash('sha256').update(grammarText).digest('hex');
+}
+
+function normalizeSpec(spec) {
+  return spec.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function specWords(spec) {
+  return new Set(normalizeSpec(spec).split(/[^a-z0-9+\-*/^%<>=!&|]+/).filter(word => word && !STOP_WORDS.has(word)));
+}
+
+// Jaccard similarity of the specs' word sets (0..1)
+export function specSimilarity(a, b) {
+  const wordsA = specWords(a);
+  const wordsB = specWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// ---- Index ----
+// { grammars: { <sha256 of grammar>: { spec, grammarText, compiled, testsPassed, updatedAt } } }
+// When there is no index yet it is seeded from the cache: grammar entries whose
+// grammar also has a cached parser are known to compile.
+async function loadIndex() {
+  try {
+    return JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+  } catch {
+    return seedIndex();
+  }
+}
+
+async function seedIndex() {
+  const items = await listCacheEntries();
+  const compiledGrammars = new Set(items
+    .filter(item => item.stage === 'parser' && !item.stale)
+    .map(item => item.entry.input.grammarText));
+
+  const grammars = {};
+  for (const item of items) {
+    const spec = item.entry?.input?.variables?.spec;
+    if (item.stage !== 'grammar' || item.stale || !spec || !compiledGrammars.has(item.entry.output)) continue;
+    grammars[grammarHash(item.entry.output)] = {
+      spec,
+      grammarText: item.entry.output,
+      compiled: true,
+      testsPassed: null,
+      updatedAt: item.entry.timestamp
+    };
+  }
+  return { grammars };
+}
+
+// Updates are chained so concurrent stages do not overwrite each other
+let pendingUpdate = Promise.resolve();
+
+// Record what happened to a grammar: { compiled } after compiling, { testsPassed }
+// after testing. Grammars are only added once they compiled.
+export function recordGrammarOutcome(spec, grammarText, outcome) {
+  if (!WRITE_TO_CACHE) return Promise.resolve();
+
+  pendingUpdate = pendingUpdate.then(async () => {
+    const index = await loadIndex();
+    const hash = grammarHash(grammarText);
+    const existing = index.grammars[hash];
+    if (!existing && !outcome.compiled) return;
+
+    index.grammars[hash] = {
+      spec,
+      grammarText,
+      compiled: true,
+      testsPassed: null,
+      ...existing,
+      ...outcome,
+      updatedAt: new Date().toISOString()
+    };
+
+    // Keep the most recently used grammars
+    const entries = Object.entries(index.grammars).sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    index.grammars = Object.fromEntries(entries.slice(0, MAX_INDEX_ENTRIES));
+
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.writeFile(INDEX_FILE, JSON.stringify(index, null, 2), 'utf8');
+  }).catch(() => {
+    // The index is only a hint; a failed update must not fail the run
+  });
+  return pendingUpdate;
+}
+
+// The grammars of the most similar earlier specs, best first: [{ spec, grammarText,
+// similarity, testsPassed }]. Grammars for the same spec are left out (the cache
+// already covers those), as are grammars that failed their tests.
+export async function findReferenceGrammars(spec, { limit = DEFAULT_REFERENCE_LIMIT } = {}) {
+  const { grammars } = await loadIndex();
+  const target = normalizeSpec(spec);
+
+  return Object.values(grammars)
+    .filter(entry => entry.compiled && entry.testsPassed !== false && normalizeSpec(entry.spec) !== target)
+    .filter(entry => entry.grammarText.length <= MAX_REFERENCE_CHARS)
+    .map(entry => ({ spec: entry.spec, grammarText: entry.grammarText, testsPassed: entry.testsPassed, similarity: specSimilarity(spec, entry.spec) }))
+    .filter(entry => entry.similarity >= MIN_SIMILARITY)
+    // Tested grammars win ties
+    .sort((a, b) => b.similarity - a.similarity || Number(b.testsPassed === true) - Number(a.testsPassed === true))
+    .slice(0, limit);
+}
+
+// The {{referenceGrammars}} prompt variable
+export function formatReferenceGrammars(references) {
+  return references
+    .map((reference, i) => `Reference ${i + 1} (written for: ${reference.spec}):\n${reference.grammarText}`)
+    .join('\n\n');
+}
@@ -0,0 +1,222 @@
+// Lint checks for generated grammars
+// Works on the AST from lark-subset.js (strict or not) and reports mistakes that lark-js
+// either rejects with an unhelpful message or accepts silently:
+//
+//   filtered-literal     anonymous "..." literals carry meaning, but Lark drops them from the tree
+//   undefined-reference  a rule or token that is never defined (or imported)
+//   unreachable-rule     a rule that start can never reach
+//   unused-token         a token that nothing uses
+//   missing-start        no start rule
+//   duplicate-definition a rule or token defined twice
+//
+// Errors would make lark-js fail; warnings compile but leave the interpreter
+// guessing (or carry dead weight).
+
+const SEVERITY = {
+  'filtered-literal': 'warning',
+  'undefined-reference': 'error',
+  'unreachable-rule': 'warning',
+  'unused-token': 'warning',
+  'missing-start': 'error',
+  'duplicate-definition': 'error'
+};
+
+// Literals that stand for an operation (not delimiters like "(" or ";"). A lone "="
+// is left out: in `NAME "=" expr` or `("=" expr)?` the rule already says what it is.
+const OPERATOR_LITERAL = /^"(?!=")[+\-*/%^<>=!&|~]+"$/;
+
+function finding(check, message, node) {
+  return { check, severity: SEVERITY[check], message, line: node.line, column: node.column };
+}
+
+// Child nodes of an AST node, in source order
+function children(node) {
+  switch (node.type) {
+    case 'grammar': return node.statements;
+    case 'rule':
+    case 'token_rule':
+    case 'group':
+    case 'opt_group': return [node.expansions];
+    case 'ignore_stmt': return [node.expansion];
+    case 'override':
+    case 'extend': return [node.definition];
+    case 'template_usage': return node.args;
+    case 'alts': return node.alternatives;
+    case 'alias': return [node.expansion];
+    case 'seq': return node.items;
+    case 'quanted': return [node.atom];
+    default: return [];
+  }
+}
+
+// Call visit(node, optional) for every node below `node`; `optional` is true
+// inside a quantified (*, +, ?, ~n..m) or [...] part
+function walk(node, visit, optional = false) {
+  visit(node, optional);
+  const inner = optional || node.type === 'quanted' || node.type === 'opt_group';
+  for (const child of children(node)) walk(child, visit, inner);
+}
+
+const isTokenName = name => /^_?[A-Z]/.test(name);
+
+// A rule or token reference, or a template used by name: { name, isToken }
+function reference(node) {
+  if (node.type === 'ruleref') return { name: node.name, isToken: false };
+  if (node.type === 'tokref') return { name: node.name, isToken: true };
+  if (node.type === 'template_usage') return { name: node.name, isToken: isTokenName(node.name) };
+  return null;
+}
+
+// The names an expansion refers to: { rules: Set, tokens: Set }
+function references(node) {
+  const rules = new Set();
+  const tokens = new Set();
+  walk(node, child => {
+    const ref = reference(child);
+    if (ref) (ref.isToken ? tokens : rules).add(ref.name);
+  });
+  return { rules, tokens };
+}
+
+// The names a statement defines: imports and %declare can define several
+function definedNames(statement) {
+  switch (statement.type) {
+    case 'rule':
+    case 'token_rule':
+    case 'import_common': return [statement.name];
+    case 'import':
+    case 'declare': return statement.names;
+    default: return [];
+  }
+}
+
+// An alternative with its anonymous literals removed, to find alternatives
+// that only differ in those literals
+function shapeWithoutLiterals(node) {
+  if (node.type === 'literal') return '';
+  if (node.type === 'ruleref' || node.type === 'tokref' || node.type === 'pattern' || node.type === 'literal_range') return node.name ?? node.value;
+  const inner = children(node).map(shapeWithoutLiterals).filter(Boolean).join(' ');
+  return node.type === 'quanted' ? `(${inner})${node.quantifiers.join('')}` : `${node.type}(${inner})`;
+}
+
+function literalsOf(node) {
+  const literals = [];
+  walk(node, child => {
+    if (child.type === 'literal') literals.push(child.value);
+  });
+  return literals;
+}
+
+function checkFilteredLiterals(rule) {
+  const findings = [];
+  const reported = new Set();
+  const report = (node, message) => {
+    if (reported.has(node)) return;
+    reported.add(node);
+    findings.push(finding('filtered-literal', message, node));
+  };
+
+  walk(rule.expansions, (node, optional) => {
+    // Alternatives that look the same once the literals are dropped (and share
+    // an alias, or have none) cannot be told apart in the tree
+    if (node.type === 'alts' && node.alternatives.length > 1) {
+      const groups = new Map();
+      for (const alternative of node.alternatives) {
+        const key = `${alternative.alias ?? ''}|${shapeWithoutLiterals(alternative.expansion)}`;
+        groups.set(key, [...(groups.get(key) || []), alternative]);
+      }
+      for (const group of groups.values()) {
+        const literals = group.map(alternative => literalsOf(alternative).join(' '));
+        if (group.length < 2 || new Set(literals).size < 2) continue;
+        report(group[0], `Alternatives ${literals.map(text => text || '(none)').join(' | ')} in rule "${rule.name}" differ only in anonymous literals, which Lark drops from the tree; use named tokens (e.g. PLUS: "+") or give each alternative its own alias`);
+        for (const alternative of group) walk(alternative, child => reported.add(child));
+      }
+    }
+    // An operator in an optional or repeated part leaves no trace of having matched
+    if (node.type === 'literal' && optional && OPERATOR_LITERAL.test(node.value)) {
+      report(node, `Operator ${node.value} in rule "${rule.name}" is an anonymous literal, which Lark drops from the tree; make it a named token (e.g. OP: ${node.value})`);
+    }
+  });
+  return findings;
+}
+
+// Findings sorted by position: [{ check, severity, message, line, column }]
+export function lintGrammar(ast) {
+  const findings = [];
+  const rules = new Map();
+  const tokens = new Map();
+
+  // What each rule's body is: its definition plus any %override / %extend of it
+  const bodies = new Map();
+
+  for (const statement of ast.statements) {
+    if (statement.type === 'override' || statement.type === 'extend') {
+      const { name } = statement.definition;
+      bodies.set(name, [...(bodies.get(name) || []), statement.definition]);
+      continue;
+    }
+    for (const name of definedNames(statement)) {
+      const definitions = isTokenName(name) ? tokens : rules;
+      const earlier = definitions.get(name);
+      if (earlier) {
+        findings.push(finding('duplicate-definition', `"${name}" is already defined at line ${earlier.line}`, statement));
+      } else {
+        definitions.set(name, statement);
+        bodies.set(name, [statement, ...(bodies.get(name) || [])]);
+      }
+    }
+  }
+
+  // Undefined references, and what uses each token. A template's parameters
+  // are names local to its body.
+  const usedTokens = new Set();
+  for (const statement of ast.statements) {
+    const params = new Set(statement.params ?? statement.definition?.params ?? []);
+    walk(statement, node => {
+      const ref = reference(node);
+      if (!ref || params.has(ref.name)) return;
+      if (ref.isToken) usedTokens.add(ref.name);
+      if (!(ref.isToken ? tokens : rules).has(ref.name)) {
+        findings.push(finding('undefined-reference', ref.isToken
+          ? `Token "${ref.name}" is not defined (define it or %import common.${ref.name})`
+          : `Rule "${ref.name}" is not defined`, node));
+      }
+    });
+  }
+
+  if (!rules.has('start')) {
+    findings.push(finding('missing-start', 'There is no "start" rule (the parser starts there)', ast.statements[0]));
+  } else {
+    const reachable = new Set(['start']);
+    const pending = ['start'];
+    while (pending.length > 0) {
+      for (const name of bodies.get(pending.pop()).flatMap(body => [...references(body).rules])) {
+        if (rules.has(name) && !reachable.has(name)) {
+          reachable.add(name);
+          pending.push(name);
+        }
+      }
+    }
+    for (const [name, rule] of rules) {
+      if (!reachable.has(name)) findings.push(finding('unreachable-rule', `Rule "${name}" cannot be reached from start`, rule));
+    }
+  }
+
+  for (const [name, token] of tokens) {
+    if (!usedTokens.has(name)) findings.push(finding('unused-token', `Token "${name}" is never used`, token));
+  }
+
+  // !rule keeps every token, anonymous ones included
+  for (const rule of rules.values()) {
+    if (rule.type === 'rule' && !rule.modifiers.includes('!')) findings.push(...checkFilteredLiterals(rule));
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// One line per finding, for logs and the retry prompt
+export function formatLintFindings(findings) {
+  return findings
+    .map(item => `line ${item.line}, column ${item.column}: ${item.message} [${item.check}]`)
+    .join('\n');
+}
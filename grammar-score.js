@@ -0,0 +1,129 @@
+// Scoring of grammar candidates (--grammar-candidates)
+// Each candidate is measured by what lark-js and the samples say about it;
+// the metrics are combined into one score so the best candidate can be kept
+// and the others reported with the reasons they lost.
+
+// Points per metric. Compiling and parsing the samples dominate; conflicts,
+// alias coverage and size only decide between otherwise equal candidates.
+const SCORE_WEIGHTS = {
+  compiled: 100,
+  samplesParsed: 100,   // times the share of samples parsed
+  conflict: -10,        // per LALR conflict lark reports
+  aliasCoverage: 20,    // times the share of alternatives with an alias
+  rule: -0.5            // per rule
+};
+
+// Split a rule body on top-level "|", skipping strings, regexes and groups
+function splitAlternatives(body) {
+  const alternatives = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === '\\') {
+        current += ch + (body[++i] ?? '');
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '/') {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth--;
+    } else if (ch === '|' && depth === 0) {
+      alternatives.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  alternatives.push(current);
+  return alternatives.map(alt => alt.trim()).filter(Boolean);
+}
+
+// Rule name -> body, with continuation lines ("| ...") joined
+function ruleBodies(grammarText) {
+  const rules = new Map();
+  let current = null;
+  for (const line of grammarText.split('\n')) {
+    const text = line.replace(/\/\/.*$/, '');
+    const definition = /^\??([a-z_][a-z0-9_]*)\s*:(.*)$/.exec(text);
+    if (definition) {
+      current = definition[1];
+      rules.set(current, definition[2]);
+    } else if (current && /^\s+\S/.test(text)) {
+      rules.set(current, `${rules.get(current)} ${text.trim()}`);
+    } else {
+      current = null;
+    }
+  }
+  return rules;
+}
+
+// Share of alternatives carrying an alias ("-> name"), counted over rules
+// with more than one alternative (the only place an alias tells them apart)
+export function aliasCoverage(grammarText) {
+  let total = 0;
+  let aliased = 0;
+  for (const body of ruleBodies(grammarText).values()) {
+    const alternatives = splitAlternatives(body);
+    if (alternatives.length < 2) continue;
+    total += alternatives.length;
+    aliased += alternatives.filter(alt => /->\s*[a-z_]/.test(alt)).length;
+  }
+  return total === 0 ? 1 : aliased / total;
+}
+
+// LALR conflicts in lark's debug log (see findLalrConflicts() in index.js)
+export function countConflicts(larkOutput = '') {
+  return (larkOutput.match(/Reduce\/Reduce collision|Shift\/Reduce conflict/gi) || []).length;
+}
+
+// Conflicts are null when lark could not be run, and then count as none
+export function scoreCandidate({ compiled, samplesParsed, samplesTotal, conflicts, aliasCoverage: coverage, ruleCount }) {
+  const score = (compiled ? SCORE_WEIGHTS.compiled : 0)
+    + SCORE_WEIGHTS.samplesParsed * (samplesTotal > 0 ? samplesParsed / samplesTotal : 0)
+    + SCORE_WEIGHTS.conflict * (conflicts ?? 0)
+    + SCORE_WEIGHTS.aliasCoverage * coverage
+    + SCORE_WEIGHTS.rule * ruleCount;
+  return Math.round(score * 10) / 10;
+}
+
+// Why `candidate` lost to `best`: the metrics it did worse on
+export function rejectionReasons(candidate, best) {
+  if (!candidate.generated) return [`not generated: ${candidate.error}`];
+  const reasons = [];
+  if (!candidate.compiled && best.compiled) reasons.push(`does not compile: ${candidate.compileError}`);
+  if (candidate.samplesParsed < best.samplesParsed) {
+    reasons.push(`parses ${candidate.samplesParsed}/${candidate.samplesTotal} samples (chosen: ${best.samplesParsed})`);
+  }
+  if (candidate.conflicts !== null && best.conflicts !== null && candidate.conflicts > best.conflicts) {
+    reasons.push(`${candidate.conflicts} LALR conflict(s) (chosen: ${best.conflicts})`);
+  }
+  if (candidate.aliasCoverage < best.aliasCoverage) {
+    reasons.push(`alias coverage ${Math.round(candidate.aliasCoverage * 100)}% (chosen: ${Math.round(best.aliasCoverage * 100)}%)`);
+  }
+  if (candidate.ruleCount > best.ruleCount) reasons.push(`${candidate.ruleCount} rules (chosen: ${best.ruleCount})`);
+  if (reasons.length === 0) reasons.push(candidate.score < best.score ? 'lower score' : 'same score as an earlier candidate');
+  return reasons;
+}
+
+// One line per candidate, best first
+export function formatCandidateTable(candidates, chosen) {
+  const lines = ['Grammar candidates:'];
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    const mark = candidate.index === chosen ? '*' : ' ';
+    if (!candidate.generated) {
+      lines.push(`${mark} #${candidate.index}  not generated: ${candidate.error}`);
+      continue;
+    }
+    lines.push(`${mark} #${candidate.index}  score ${String(candidate.score).padStart(6)}  ` +
+      `${candidate.compiled ? 'compiles' : 'no parser'}  samples ${candidate.samplesParsed}/${candidate.samplesTotal}  ` +
+      `conflicts ${candidate.conflicts ?? '?'}  aliases ${Math.round(candidate.aliasCoverage * 100)}%  rules ${candidate.ruleCount}`);
+  }
+  return lines.join('\n');
+}
@@ -10,77 +10,60 @@
 // Usage:
 //   node index.js --spec "tiny calc with ints + - * / and parens" --semantics "evaluate to a number"
 //   cat semantics.txt | node index.js --spec "$(cat spec.txt)" --sample "1+2*3"
+//   node index.js --config langgen.config.yaml
 //
 // Environment:
-//   OPENAI_API_KEY (required)
+//   OPENAI_API_KEY (required for the default openai provider)
 //   OPENAI_MODEL (optional; default: gpt-5)
 
-import OpenAI from 'openai';
 import { tmpdir } from 'os';
-import { join } from 'path';
+import { join, dirname, basename, resolve as resolvePath } from 'path';
 import { promises as fs } from 'fs';
 import { spawn } from 'child_process';
 import { createRequire } from 'module';
 import readline from 'readline';
-import { generateVSCodeExtension } from './vscode-extension.js';
-import crypto from 'crypto';
-
-const client = new OpenAI({});
-
-// Global sample variable to include in all prompts
-let GLOBAL_SAMPLE = '';
-
-// Cache configuration (can be overridden by environment variables)
-const READ_FROM_CACHE = process.env.LANG_GEN_READ_CACHE === 'true';  // Default true, set LANG_GEN_READ_CACHE=false to disable
-const WRITE_TO_CACHE = process.env.LANG_GEN_WRITE_CACHE !== 'false';  // Default true, set LANG_GEN_WRITE_CACHE=false to disable
-const CACHE_DIR = process.env.LANG_GEN_CACHE_DIR || join(new URL('.', import.meta.url).pathname, '.cache');
-
-// ---- Cache helper functions ----
-async function getCacheKey(type, input) {
-  const hash = crypto.createHash('sha256');
-  hash.update(type);
-  hash.update(JSON.stringify(input));
-  return hash.digest('hex');
-}
-
-async function getCached(type, input) {
-  if (!READ_FROM_CACHE) return null;
-  
-  try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    const key = await getCacheKey(type, input);
-    const cachePath = join(CACHE_DIR, `${type}-${key}.json`);
-    
-    const data = await fs.readFile(cachePath, 'utf8');
-    console.error(`[CACHE HIT] Using cached ${type} (key: ${key.slice(0, 8)}...)`);
-    return JSON.parse(data);
-  } catch {
-    return null;
-  }
+import { generateVSCodeExtension, generateTextMateGrammar, buildTextMatePrompt } from './vscode-extension.js';
+import { renderPrompt, promptVersion, readPromptOverrides } from './prompts.js';
+import { READ_FROM_CACHE, READ_PARSER_CACHE, WRITE_TO_CACHE, CACHE_DIR, getCached, peekCache, saveCache, configureCache, cacheLimits, getCacheLimits, parseDuration, parseSize, formatBytes, formatAge, listCacheEntries, findCacheEntry, describeCacheEntry, removeCacheEntries, setCacheEntryPinned, pruneCache, CONFLICT_POLICIES, exportCacheBundle, importCacheBundle } from './cache.js';
+import { findReferenceGrammars, formatReferenceGrammars, recordGrammarOutcome } from './few-shot.js';
+import { parseLarkGrammar } from './lark-subset.js';
+import { lintGrammar, formatLintFindings } from './grammar-lint.js';
+import { aliasCoverage, countConflicts, scoreCandidate, rejectionReasons, formatCandidateTable } from './grammar-score.js';
+import { findConfigFile, loadConfig } from './config.js';
+import { configureEvents, emitEvent, withEventListener } from './events.js';
+import { MANIFEST_FILE, openManifest, writeManifest, recordArtifact, verifyManifest } from './manifest.js';
+import { watchFiles } from './watch.js';
+import { log, withLogger, getLogger, labelledLogger, consoleLogger, silentLogger } from './logger.js';
+import { PROVIDER_TYPES, createProvider, getDefaultProvider, collectStream } from './providers.js';
+import { isAbortError, abortError, sleep } from './retry.js';
+import { MODEL_ROLES, roleOptionNames, resolveModelSettings, settingsForPrompt, validateModelOptions, formatModelSettings } from './models.js';
+import { getRunContext, withRunContext } from './run-context.js';
+import { createUsageTracker, checkTokenBudget, estimateTokens, sumUsage, getUsageSummary, formatUsageSummary } from './usage.js';
+
+// The current run's samples, formatted for prompts (see run-context.js). Outside a
+// run there are no samples, and models come from the environment.
+function currentSample() {
+  return getRunContext().sample ?? '';
 }
 
-async function saveCache(type, input, output) {
-  if (!WRITE_TO_CACHE) return;
-  
-  try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    const key = await getCacheKey(type, input);
-    const cachePath = join(CACHE_DIR, `${type}-${key}.json`);
-    
-    await fs.writeFile(cachePath, JSON.stringify({
-      input,
-      output,
-      timestamp: new Date().toISOString()
-    }, null, 2), 'utf8');
-    
-    console.error(`[CACHE WRITE] Saved ${type} to cache (key: ${key.slice(0, 8)}...)`);
-  } catch (err) {
-    console.error(`[CACHE ERROR] Failed to cache ${type}:`, err.message);
-  }
-}
+// Process exit codes, one per failure class (see README)
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,        // Unexpected error
+  USAGE: 2,        // Bad flags, config file or environment
+  GRAMMAR: 3,      // Grammar generation failed
+  COMPILE: 4,      // Grammar compilation (lark-js) failed
+  TEST: 5,         // Interpreter test failed
+  VERIFY: 6,       // Artifacts do not match the manifest
+  BUDGET: 7,       // --max-tokens-budget would be exceeded
+  INTERRUPTED: 130 // Cancelled (Ctrl-C)
+};
+
+const TEST_FAILURE_POLICIES = ['autofix', 'continue', 'fail'];
 
 // ---- Strict Lark subset grammar (validator) ----
 // Fixed from test2.js - using common imports that work
+// Enforced by the server for generated grammars; lark-subset.js checks it locally.
 const LARK_SUBSET_STRICT = String.raw`start: statement+
 
 ?statement: rule
@@ -130,29 +113,118 @@ BOUNDED_REPEAT: /~(?:[0-9]+)?\.\.(?:[0-9]+)?/
 `;
 
 // ---- CLI argument parsing ----
+// Per-prompt model flags: --grammar-model -> grammarModel, --textmate-verbosity -> textmateVerbosity, ...
+const ROLE_FLAGS = Object.fromEntries(MODEL_ROLES.flatMap(role => {
+  const names = roleOptionNames(role);
+  return [
+    [`--${role}-model`, names.model],
+    [`--${role}-reasoning-effort`, names.reasoningEffort],
+    [`--${role}-verbosity`, names.verbosity]
+  ];
+}));
+
+// Only flags that were actually passed end up in the result, so they can be
+// layered over values from the config file.
 function parseArgs() {
-  const args = process.argv.slice(2);
-  const result = { 
-    spec: '', 
-    semantics: '', 
-    sample: '', 
-    output: './output',
-    vscode: false,
-    languageId: '',
-    languageName: '',
-    fileExtension: ''
-  };
+  // Accept both "--flag value" and "--flag=value"
+  const args = process.argv.slice(2).flatMap(arg => {
+    const eq = arg.indexOf('=');
+    return arg.startsWith('--') && eq > 0 ? [arg.slice(0, eq), arg.slice(eq + 1)] : [arg];
+  });
+  const result = {};
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
-    if (arg === '--spec' && i + 1 < args.length) {
+    if (i === 0 && !arg.startsWith('-')) {
+      if (!COMMANDS.includes(arg)) {
+        log.error(`Unknown command: ${arg} (expected one of: ${COMMANDS.join(', ')})`);
+        process.exit(EXIT_CODES.USAGE);
+      }
+      result.command = arg;
+    } else if (result.command === 'cache' && !arg.startsWith('-') && !result.cacheTarget) {
+      // lang-gen cache <action> [key or bundle file]
+      if (result.cacheAction) {
+        result.cacheTarget = arg;
+      } else if (CACHE_ACTIONS.includes(arg)) {
+        result.cacheAction = arg;
+      } else {
+        log.error(`Unknown cache command: ${arg} (expected one of: ${CACHE_ACTIONS.join(', ')})`);
+        process.exit(EXIT_CODES.USAGE);
+      }
+    } else if (arg === '--config' && i + 1 < args.length) {
+      result.config = args[++i];
+    } else if (arg === '--spec' && i + 1 < args.length) {
       result.spec = args[++i];
+    } else if (arg === '--spec-file' && i + 1 < args.length) {
+      result.specFile = args[++i];
+    } else if (arg === '--grammar-file' && i + 1 < args.length) {
+      result.grammarFile = args[++i];
     } else if (arg === '--semantics' && i + 1 < args.length) {
       result.semantics = args[++i];
+    } else if (arg === '--semantics-file' && i + 1 < args.length) {
+      result.semanticsFile = args[++i];
     } else if (arg === '--sample' && i + 1 < args.length) {
-      result.sample = args[++i];
+      result.samples = [...(result.samples || []), args[++i]];
+    } else if (arg === '--sample-file' && i + 1 < args.length) {
+      result.sampleFiles = [...(result.sampleFiles || []), args[++i]];
     } else if (arg === '--output' && i + 1 < args.length) {
       result.output = args[++i];
+    } else if (arg === '--model' && i + 1 < args.length) {
+      result.model = args[++i];
+    } else if (arg === '--reasoning-effort' && i + 1 < args.length) {
+      result.reasoningEffort = args[++i];
+    } else if (arg === '--verbosity' && i + 1 < args.length) {
+      result.verbosity = args[++i];
+    } else if (ROLE_FLAGS[arg] && i + 1 < args.length) {
+      result[ROLE_FLAGS[arg]] = args[++i];
+    } else if (arg === '--provider' && i + 1 < args.length) {
+      result.providerType = args[++i];
+    } else if (arg === '--base-url' && i + 1 < args.length) {
+      result.baseURL = args[++i];
+    } else if (arg === '--record' && i + 1 < args.length) {
+      result.recordDir = args[++i];
+    } else if (arg === '--replay' && i + 1 < args.length) {
+      result.replayDir = args[++i];
+    } else if (arg === '--watch') {
+      result.watch = true;
+    } else if (arg === '--plan') {
+      result.plan = true;
+    } else if (arg === '--no-few-shot') {
+      result.fewShot = false;
+    } else if (arg === '--non-interactive') {
+      result.nonInteractive = true;
+    } else if (arg === '--on-test-failure' && i + 1 < args.length) {
+      result.onTestFailure = args[++i];
+    } else if (arg === '--max-autofix' && i + 1 < args.length) {
+      result.maxAutofix = Number(args[++i]);
+    } else if (arg === '--max-tokens-budget' && i + 1 < args.length) {
+      result.maxTokensBudget = Number(args[++i]);
+    } else if (arg === '--prompts-dir' && i + 1 < args.length) {
+      result.promptsDir = args[++i];
+    } else if (arg === '--concurrency' && i + 1 < args.length) {
+      result.concurrency = Number(args[++i]);
+    } else if (arg === '--grammar-candidates' && i + 1 < args.length) {
+      result.grammarCandidates = Number(args[++i]);
+    } else if (arg === '--cache-ttl' && i + 1 < args.length) {
+      result.cacheTtl = args[++i];
+    } else if (arg === '--cache-max-size' && i + 1 < args.length) {
+      result.cacheMaxSize = args[++i];
+    } else if (arg === '--stage' && i + 1 < args.length) {
+      result.cacheStage = args[++i];
+    } else if (arg === '--older-than' && i + 1 < args.length) {
+      result.olderThan = args[++i];
+    } else if (arg === '--include-pinned') {
+      result.includePinned = true;
+    } else if (arg === '--pinned') {
+      result.pinnedOnly = true;
+    } else if (arg === '--on-conflict' && i + 1 < args.length) {
+      result.onConflict = args[++i];
+    } else if (arg === '--request-timeout' && i + 1 < args.length) {
+      result.requestTimeout = Number(args[++i]);
+    } else if (arg === '--events' && i + 1 < args.length) {
+      result.events = args[++i];
+    } else if (arg === '--events-file' && i + 1 < args.length) {
+      result.eventsFile = args[++i];
     } else if (arg === '--vscode') {
       result.vscode = true;
     } else if (arg === '--lang-id' && i + 1 < args.length) {
@@ -163,13 +235,94 @@ function parseArgs() {
       result.fileExtension = args[++i];
     } else if (arg === '--help' || arg === '-h') {
       console.log(`
-Usage: lang-gen [options]
+Usage: lang-gen [command] [options]
+
+Commands (run a single stage, reusing artifacts in --output):
+  grammar                  Generate grammar.lark from the spec
+  compile                  Compile grammar.lark to parser.cjs
+  schema                   Print the AST schema derived from grammar.lark
+  vscode                   Generate the VSCode extension from grammar.lark
+  interpreter              Generate interpreter.mjs from grammar.lark
+  test                     Test parser.cjs + interpreter.mjs against the samples
+  runner                   Write the run.mjs CLI runner
+  verify                   Check artifacts in --output against lang-gen.manifest.json
+  cache <action>           Inspect and clean up the response cache (see Cache Options)
+
+Without a command, all stages run in order.
 
 Options:
+  --config <file>           Config file (default: ./langgen.config.json|yaml if present)
   --spec <description>      Language specification
+  --spec-file <file>        Read the language specification from a file
+  --grammar-file <file>     Use this Lark grammar instead of generating one (checked
+                            for Lark syntax errors, then compiled as usual)
   --semantics <description> Semantics description (or pipe via stdin)
-  --sample <code>          Sample code to test
+  --semantics-file <file>   Read the semantics description from a file
+  --sample <code>          Sample code to test (repeatable)
+  --sample-file <file>     Read sample code from a file (repeatable)
   --output <dir>           Output directory (default: ./output)
+  --model <name>           Model to use (default: $OPENAI_MODEL or gpt-5)
+  --reasoning-effort <e>   minimal | low | medium | high (default: the model's)
+  --verbosity <v>          low | medium | high (default: the model's)
+  --<prompt>-model <name>  Model for one prompt: grammar, example, interpreter or
+                           textmate (e.g. --interpreter-model gpt-5-mini)
+  --<prompt>-reasoning-effort <e>, --<prompt>-verbosity <v>
+                           The same per prompt
+  --provider <type>        openai | openai-compatible (default: openai)
+  --base-url <url>         API base URL, e.g. http://localhost:8000/v1 for a local
+                           server with --provider openai-compatible
+  --record <dir>           Save every model request and response as fixtures in dir
+  --replay <dir>           Answer model requests from fixtures in dir (no network)
+  --prompts-dir <dir>      Use <template>.txt files in dir instead of the built-in
+                           prompt templates (see prompts.js)
+  --concurrency <n>        Run up to n independent stages (and requests within a
+                           stage) at once; output is labelled by stage (default: 2)
+  --no-few-shot            Do not show the model grammars of similar earlier specs
+                           (from the cache) as references (always off with
+                           --record/--replay)
+  --grammar-candidates <n> Generate n grammars, score them (compiles, samples parsed,
+                           LALR conflicts, aliases, size) and keep the best (default: 1)
+  --request-timeout <s>    Give up on a model request after s seconds and retry it
+                           (default: 600; 0 = no timeout)
+  --watch                  Keep running and regenerate affected stages when the
+                           config, spec/semantics/sample files or grammar.lark change
+  --plan                   Show cache hits, API calls, models and prompt sizes
+                           for each stage, then exit without writing anything
+  
+CI Options:
+  --non-interactive        Never prompt; apply --on-test-failure instead
+  --on-test-failure <p>    autofix | continue | fail (default: autofix;
+                           implies --non-interactive)
+  --max-autofix <n>        Total automatic fix attempts for the test stage (default: 3)
+  --max-tokens-budget <n>  Stop before a model request would take the run past
+                           n tokens (input + output; default: no limit)
+  --events <format>        Emit structured progress events (format: ndjson)
+  --events-file <file>     Append events to a file instead of stdout
+  
+Cache Options:
+  lang-gen cache list      List cache entries (filter with --stage, --older-than)
+  lang-gen cache show <key>  Show one entry (a key prefix of at least 4 characters)
+  lang-gen cache stats     Entry counts and sizes per stage
+  lang-gen cache prune     Remove stale entries, entries past --cache-ttl (or
+                           --older-than) and the oldest beyond --cache-max-size
+  lang-gen cache clear     Remove all entries (filter with --stage, --older-than)
+  lang-gen cache pin|unpin <key>
+                           Pinned entries are kept by prune and clear
+  lang-gen cache export <file>
+                           Write entries (filter with --stage, --older-than, --pinned)
+                           to a bundle file (gzipped if it ends in .gz)
+  lang-gen cache import <file>
+                           Verify a bundle and add its entries to the cache
+  --stage <name>           Only entries of one stage (grammar, example, interpreter, parser)
+  --older-than <age>       Only entries older than age (e.g. 12h, 7d, 2w)
+  --include-pinned         Let clear remove pinned entries too
+  --pinned                 Only export pinned entries
+  --on-conflict <p>        keep | replace | newer: what import does with an entry
+                           cached locally with a different result (default: keep)
+  --cache-ttl <age>        Entries older than age are not used and are removed when
+                           the cache is written (default: no limit)
+  --cache-max-size <size>  Remove the oldest entries when the cache is written and
+                           grows past size (e.g. 500MB; default: no limit)
   
 VSCode Extension Options:
   --vscode                 Generate VSCode extension
@@ -179,6 +332,19 @@ VSCode Extension Options:
   
   --help                   Show this help
 
+Command line flags override values from the config file.
+
+Exit codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid flags, config file or environment
+  3  Grammar generation failed
+  4  Grammar compilation failed
+  5  Interpreter test failed (non-interactive policy, or aborted)
+  6  verify: artifacts missing, edited or stale
+  7  --max-tokens-budget would be exceeded
+  130 Cancelled with Ctrl-C (partial output of the running stage is restored)
+
 Environment:
   OPENAI_API_KEY          Required for API access
   OPENAI_MODEL            Model to use (default: gpt-5)
@@ -189,14 +355,222 @@ Examples:
   
   # With VSCode extension
   lang-gen --spec "config language" --vscode --lang-id config --lang-name "Config" --file-ext cfg
+
+  # Using a config file
+  lang-gen --config langgen.config.yaml --sample "1 + 2"
+
+  # Recompile a hand-edited grammar and re-run the tests
+  lang-gen compile --output ./output && lang-gen test --output ./output
 `);
       process.exit(0);
+    } else {
+      log.error(`Unknown option: ${arg} (see --help)`);
+      process.exit(EXIT_CODES.USAGE);
     }
   }
   
   return result;
 }
 
+const DEFAULT_OPTIONS = {
+  command: '',
+  spec: 'A tiny calculator (integers, + - * /, parentheses, unary minus)',
+  specFile: '',
+  grammar: '',
+  grammarFile: '',
+  semantics: 'Evaluate expressions to a number',
+  semanticsFile: '',
+  samples: [],
+  sampleFiles: [],
+  watch: false,
+  plan: false,
+  output: './output',
+  model: '',
+  reasoningEffort: '',
+  verbosity: '',
+  ...Object.fromEntries(MODEL_ROLES.flatMap(role => Object.values(roleOptionNames(role)).map(name => [name, '']))),
+  providerType: 'openai',
+  baseURL: '',
+  apiKeyEnv: '',
+  grammarParam: '',
+  recordDir: '',
+  replayDir: '',
+  vscode: false,
+  languageId: '',
+  languageName: '',
+  fileExtension: '',
+  nonInteractive: false,
+  onTestFailure: '',
+  maxAutofix: 3,
+  maxTokensBudget: 0,
+  requestTimeout: 600,
+  concurrency: 2,
+  grammarCandidates: 1,
+  fewShot: true,
+  cacheTtl: '',
+  cacheMaxSize: '',
+  cacheAction: '',
+  cacheTarget: '',
+  cacheStage: '',
+  olderThan: '',
+  includePinned: false,
+  pinnedOnly: false,
+  onConflict: 'keep',
+  promptsDir: '',
+  events: '',
+  eventsFile: ''
+};
+
+// Inputs that can also be read from files: [value key, file key]
+const INPUT_FILES = [
+  ['spec', 'specFile'],
+  ['grammar', 'grammarFile'],
+  ['semantics', 'semanticsFile'],
+  ['samples', 'sampleFiles']
+];
+
+async function readInputFile(file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).trim();
+  } catch (err) {
+    throw new Error(`Could not read input file ${file}: ${err.message}`);
+  }
+}
+
+// Replace file references in one option layer with the file contents
+async function readInputFiles(layer) {
+  if (layer.specFile) layer.spec = await readInputFile(layer.specFile);
+  if (layer.grammarFile) layer.grammar = await readInputFile(layer.grammarFile);
+  if (layer.semanticsFile) layer.semantics = await readInputFile(layer.semanticsFile);
+  if (layer.sampleFiles?.length) {
+    layer.samples = [...(layer.samples || []), ...await Promise.all(layer.sampleFiles.map(readInputFile))];
+  }
+  return layer;
+}
+
+// Merge defaults < config file < stdin < CLI flags
+async function resolveOptions(cliArgs, stdinContent) {
+  const configPath = cliArgs.config || await findConfigFile();
+  const fileOptions = await readInputFiles(configPath ? await loadConfig(configPath) : {});
+  
+  const options = { ...DEFAULT_OPTIONS, ...fileOptions };
+  if (stdinContent) {
+    options.semantics = stdinContent;
+    options.semanticsFile = '';
+  }
+  
+  const { config, ...flags } = await readInputFiles({ ...cliArgs });
+  Object.assign(options, flags);
+  options.configPath = configPath;
+  
+  // A value given directly on the command line shadows a file from the config
+  for (const [valueKey, fileKey] of INPUT_FILES) {
+    if (flags[valueKey] !== undefined && flags[fileKey] === undefined) {
+      options[fileKey] = DEFAULT_OPTIONS[fileKey];
+    }
+  }
+  
+  // An explicit failure policy only makes sense without prompts
+  if (options.onTestFailure) {
+    options.nonInteractive = true;
+  }
+  
+  return validateOptions(options);
+}
+
+// Fill in derived defaults and reject invalid values (shared by the CLI and createPipeline)
+function validateOptions(options) {
+  if (!options.onTestFailure) {
+    options.onTestFailure = 'autofix';
+  }
+  
+  if (!TEST_FAILURE_POLICIES.includes(options.onTestFailure)) {
+    throw new Error(`Invalid --on-test-failure "${options.onTestFailure}" (expected one of: ${TEST_FAILURE_POLICIES.join(', ')})`);
+  }
+  if (!Number.isInteger(options.maxAutofix) || options.maxAutofix < 0) {
+    throw new Error(`Invalid --max-autofix "${options.maxAutofix}" (expected a non-negative integer)`);
+  }
+  if (!Number.isInteger(options.maxTokensBudget) || options.maxTokensBudget < 0) {
+    throw new Error(`Invalid --max-tokens-budget "${options.maxTokensBudget}" (expected a non-negative integer)`);
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`Invalid --concurrency "${options.concurrency}" (expected a positive integer)`);
+  }
+  if (!Number.isInteger(options.grammarCandidates) || options.grammarCandidates < 1) {
+    throw new Error(`Invalid --grammar-candidates "${options.grammarCandidates}" (expected a positive integer)`);
+  }
+  if (!Number.isInteger(options.requestTimeout) || options.requestTimeout < 0) {
+    throw new Error(`Invalid --request-timeout "${options.requestTimeout}" (expected a non-negative number of seconds)`);
+  }
+  for (const [key, flag, parse] of [['cacheTtl', 'cache-ttl', parseDuration], ['cacheMaxSize', 'cache-max-size', parseSize], ['olderThan', 'older-than', parseDuration]]) {
+    try {
+      parse(options[key]);
+    } catch (error) {
+      throw new Error(`Invalid --${flag}: ${error.message}`);
+    }
+  }
+  if (options.events && !options.eventsFile && options.command === 'schema') {
+    throw new Error('lang-gen schema prints the schema on stdout, where --events would go too; add --events-file <file>');
+  }
+  if (options.command === 'cache' && !options.cacheAction) {
+    throw new Error(`lang-gen cache needs an action (${CACHE_ACTIONS.join(', ')})`);
+  }
+  if (['show', 'pin', 'unpin'].includes(options.cacheAction) && !options.cacheTarget) {
+    throw new Error(`lang-gen cache ${options.cacheAction} needs a cache key (see \`lang-gen cache list\`)`);
+  }
+  if (['export', 'import'].includes(options.cacheAction) && !options.cacheTarget) {
+    throw new Error(`lang-gen cache ${options.cacheAction} needs a bundle file`);
+  }
+  if (!CONFLICT_POLICIES.includes(options.onConflict)) {
+    throw new Error(`Invalid --on-conflict "${options.onConflict}" (expected one of: ${CONFLICT_POLICIES.join(', ')})`);
+  }
+  validateModelOptions(options);
+  if (!PROVIDER_TYPES.includes(options.providerType)) {
+    throw new Error(`Invalid --provider "${options.providerType}" (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+  }
+  if (options.recordDir && options.replayDir) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+  // Reference grammars come from this machine's grammar index, which would put
+  // local state into recorded requests and make fixtures miss elsewhere
+  if (options.recordDir || options.replayDir) {
+    options.fewShot = false;
+  }
+  if (options.providerType === 'openai-compatible' && !options.baseURL) {
+    throw new Error('--provider openai-compatible needs --base-url');
+  }
+  if (options.eventsFile && !options.events) {
+    options.events = 'ndjson';
+  }
+  
+  return options;
+}
+
+// Format the sample program(s) for inclusion in prompts
+function formatSamples(samples) {
+  if (samples.length <= 1) return samples[0] || '';
+  return samples.map((sample, i) => `Example ${i + 1}:\n${sample}`).join('\n\n');
+}
+
+// { model, reasoningEffort, verbosity } for one prompt
+function getModelSettings(prompt) {
+  return settingsForPrompt(getRunContext().models ?? resolveModelSettings(), prompt);
+}
+
+// What a cached model request depends on: the variables its prompt is rendered
+// from, the model settings, the template version, the provider (and the server it
+// talks to) and `extra` options. cache.js adds the stage and its schema version to the key.
+function requestCacheInput(prompt, variables, provider, extra = {}) {
+  return {
+    variables,
+    model: getModelSettings(prompt),
+    prompt: promptVersion(prompt),
+    provider: provider.name,
+    baseURL: provider.baseURL || undefined,
+    ...extra
+  };
+}
+
 async function readStdin() {
   if (process.stdin.isTTY) return '';
   
@@ -208,207 +582,260 @@ async function readStdin() {
 }
 
 // ---- Step 1: Generate grammar from spec ----
-async function generateGrammar(spec, maxRetries = 3) {
+// Build the grammar request. Shared by generation and --plan.
+function buildGrammarPrompt(spec, previousErrors = [], references = []) {
+  return renderPrompt('grammar', {
+    spec,
+    sample: currentSample(),
+    referenceGrammars: formatReferenceGrammars(references),
+    previousErrors: previousErrors.map((err, i) => `Attempt ${i + 1}: ${err}`).join('\n')
+  });
+}
+
+// `candidate` numbers the extra grammars of --grammar-candidates, so each is cached separately.
+// With `fewShot`, grammars of similar earlier specs are included as references (see few-shot.js).
+// Each grammar is compiled and must parse `samples`; parse errors are fed back like syntax errors.
+async function generateGrammar(spec, maxRetries = 3, { provider = getDefaultProvider(), signal, candidate = 0, fewShot = false, samples = [] } = {}) {
   // Check cache first
-  const cached = await getCached('grammar', { spec });
+  const settings = getModelSettings('grammar');
+  const cacheInput = grammarCacheInput(spec, provider, candidate, fewShot);
+  const cached = await getCached('grammar', cacheInput);
   if (cached) {
     return cached.output;
   }
   
+  const references = fewShot ? await findReferenceGrammars(spec) : [];
+  if (references.length > 0) {
+    log.info(`Reference grammars from similar specs: ${references.map(reference => `"${reference.spec}" (${Math.round(reference.similarity * 100)}%)`).join(', ')}`);
+  }
+  
   let attempts = 0;
   let previousErrors = [];
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
+  const attemptUsage = [];
   
   while (attempts < maxRetries) {
     attempts++;
     
     if (attempts > 1) {
-      console.error(`\nRetry attempt ${attempts}/${maxRetries}...`);
+      log.info(`\nRetry attempt ${attempts}/${maxRetries}...`);
+      emitEvent('retry', { stage: 'grammar', attempt: attempts, maxAttempts: maxRetries, error: previousErrors[previousErrors.length - 1] });
     } else {
-      console.error(`Generating grammar for: ${spec}`);
+      log.info(`Generating grammar for: ${spec}`);
     }
     
-    let instructions = `
-You are a CFG designer.
-
-Task: Output EXACTLY ONE Lark grammar that defines a context-free grammar for the language described in the input.
-The output MUST conform to a strict subset of Lark (validator provided via tool):
-- Only: rules/tokens, groups (), optionals [], repetitions {}, postfix + ? * and bounded repeats ~min..max.
-- Only "%import common.*" and "%ignore".
-- NO %declare, NO templates, NO terminal priorities.
-- Regex terminals must avoid lookaround and lazy quantifiers; flags like i,m,s,l,u,x are fine.
-
-Formatting requirements:
-- Output ONLY the grammar text (no code fences, no prose).
-- Provide a single entry rule named "start".
-- Use lowercase names for rules, UPPERCASE for tokens.
-- Include "%import common.WS" and "%ignore WS" unless whitespace is significant.
-- Prefer using aliases "-> name" on meaningful alternatives to guide AST shape.
-
-CRITICAL for operator handling:
-- Define operators as separate UPPERCASE tokens (e.g., ADD_OP: "+", MUL_OP: "*")
-- DO NOT use inline literals like ("+" | "-") in rules - these get discarded by the parser
-- Example: Instead of: sum: product (("+" | "-") product)*
-           Use: sum: product (ADD_OP product | SUB_OP product)*
-                ADD_OP: "+"
-                SUB_OP: "-"
-- This ensures operators are preserved in the AST for the interpreter to handle
-
-If the spec is underspecified, choose a reasonable minimal design rather than asking questions.
-
-CRITICAL SYNTAX RULES:
-- ALL string literals MUST use double quotes: "string" (NOT 'string')
-- Quotes must be properly matched: "^" not "^'
-- Use standard operators: "-" for negation (not "_")
-- In patterns like (expr "," expr)*, use double quotes for the comma`;
-
-    // Add sample code if provided
-    if (GLOBAL_SAMPLE) {
-      instructions += `\n\nEXAMPLE PROGRAM TO SUPPORT:\nThe grammar must be able to parse this example:\n${GLOBAL_SAMPLE}\nMake sure your grammar handles all the constructs shown in this example.`;
-    }
-
-    // Add previous error feedback if this is a retry
-    if (previousErrors.length > 0) {
-      instructions += `\n\nPREVIOUS ATTEMPTS FAILED WITH THESE ERRORS:\n`;
-      previousErrors.forEach((err, i) => {
-        instructions += `Attempt ${i + 1}: ${err}\n`;
-      });
-      instructions += `\nPlease fix these specific issues in your grammar.`;
-    }
+    const { instructions, input } = buildGrammarPrompt(spec, previousErrors, references);
+    checkTokenBudget('grammar', estimateTokens(instructions, input, LARK_SUBSET_STRICT));
     
     try {
-      const stream = await client.responses.create({
-    model,
-    stream: true,
-    instructions,
-    input: `Language description:\n${spec}${GLOBAL_SAMPLE ? `\n\nExample program that must be parseable:\n${GLOBAL_SAMPLE}` : ''}`,
-    tools: [{
-      type: "custom",
-      name: "lark_grammar",
-      description: "Emit exactly one Lark grammar (strict subset) for the described language.",
-      format: {
-        type: "grammar",
-        syntax: "lark",
-        definition: LARK_SUBSET_STRICT
-      }
-    }],
-    tool_choice: "required"
-      });
-
-      let grammarText = '';
-      let hasError = false;
-      
-      for await (const event of stream) {
-        // Check for error events
-        if (event?.error) {
-          hasError = true;
-          throw new Error(event.error.message || 'Grammar generation failed');
-        }
-        
-    if (typeof event === 'string') {
-      grammarText += event;
-      process.stderr.write(event);
-    } else if (event?.type === 'response.custom_tool_call_input.delta' && event?.delta) {
-      grammarText += event.delta;
-      process.stderr.write(event.delta);
-    } else if (event?.custom_tool_call_input?.delta) {
-      grammarText += event.custom_tool_call_input.delta;
-      process.stderr.write(event.custom_tool_call_input.delta);
-    } else if (event?.output_text) {
-      grammarText += event.output_text;
-      process.stderr.write(event.output_text);
-    } else if (event?.delta?.output_text) {
-      grammarText += event.delta.output_text;
-      process.stderr.write(event.delta.output_text);
-    }
-        // Ignore done/complete events
-        else if (event?.type?.includes('done') || event?.type?.includes('complete')) {
-          // Status events, ignore
+      const response = await collectStream(provider, {
+        ...settings,
+        instructions,
+        input,
+        grammar: {
+          name: 'lark_grammar',
+          description: 'Emit exactly one Lark grammar (strict subset) for the described language.',
+          definition: LARK_SUBSET_STRICT
         }
-      }
+      }, { stage: 'grammar', echo: true, signal });
       
-      process.stderr.write('\n');
-      grammarText = grammarText.trim();
+      attemptUsage.push(response.usage);
+      const grammarText = response.text.trim();
       
       // Validate the grammar locally
       if (grammarText) {
-        // Quick syntax checks
-        const syntaxErrors = [];
-        
-        // Check for single quotes in string literals (common error)
-        const singleQuotePattern = /(?<![/])('[^']*')/g;
-        const matches = grammarText.match(singleQuotePattern);
-        if (matches) {
-          syntaxErrors.push(`Found single quotes in grammar: ${matches.slice(0, 3).join(', ')}${matches.length > 3 ? '...' : ''}. Use double quotes instead.`);
-        }
-        
-        // Check for mismatched quotes
-        const mismatchedQuotes = /"[^"]*'(?![^"]*")|'[^']*"(?![^']*')/g;
-        const mismatches = grammarText.match(mismatchedQuotes);
-        if (mismatches) {
-          syntaxErrors.push(`Found mismatched quotes: ${mismatches.slice(0, 3).join(', ')}`);
-        }
+        // Lint warnings get another attempt too; the last attempt's grammar is kept despite them
+        checkGrammar(grammarText, 'Grammar', { allowWarnings: attempts >= maxRetries });
         
-        if (syntaxErrors.length > 0) {
-          throw new Error(`Grammar syntax errors: ${syntaxErrors.join('; ')}`);
-        }
+        // So do samples that do not parse; the test stage reports them if they still fail
+        const parseFeedback = await sampleParseFeedback(grammarText, samples, signal);
+        if (parseFeedback && attempts < maxRetries) throw grammarInvalidError(parseFeedback);
+        if (parseFeedback) log.warn(`Keeping the grammar of the last attempt: ${parseFeedback}`);
         
         // Cache successful result
-        await saveCache('grammar', { spec }, grammarText);
+        await saveCache('grammar', cacheInput, grammarText, sumUsage(attemptUsage));
         return grammarText;
       } else {
-        throw new Error('Generated grammar is empty');
+        throw grammarInvalidError('Generated grammar is empty');
       }
       
     } catch (error) {
+      // Only a bad grammar is worth another attempt (with the error as feedback);
+      // transient API errors were already retried with backoff
+      if (error.code !== 'GRAMMAR_INVALID') throw error;
+      
       previousErrors.push(error.message);
-      console.error(`\nGrammar generation error: ${error.message}`);
+      log.error(`\nGrammar generation error: ${error.message}`);
       
       if (attempts >= maxRetries) {
         throw new Error(`Failed to generate valid grammar after ${maxRetries} attempts. Last error: ${error.message}`);
       }
-      
-      // Wait a bit before retry
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
   
   throw new Error('Failed to generate grammar: max retries exceeded');
 }
 
+// previousErrors only feeds retries within one generation, so it is not part of the key.
+// Nor are the reference grammars, only whether few-shot is on: they change as the
+// index grows, which would otherwise never let a grammar be served from the cache.
+function grammarCacheInput(spec, provider, candidate = 0, fewShot = false) {
+  return requestCacheInput('grammar', { spec, sample: currentSample() }, provider, {
+    ...(candidate > 0 ? { candidate } : {}),
+    ...(fewShot ? { fewShot } : {})
+  });
+}
+
+function grammarInvalidError(message) {
+  const error = new Error(message);
+  error.code = 'GRAMMAR_INVALID';
+  return error;
+}
+
+// Parse against the strict subset (see lark-subset.js), or with `strict: false`
+// against all of Lark's syntax (grammars not generated by the model); `source` names
+// the grammar in the error, e.g. "Grammar syntax error: Expected ... at line 3, column 7"
+function checkGrammarSyntax(grammarText, source, { strict = true } = {}) {
+  try {
+    return parseLarkGrammar(grammarText, { strict });
+  } catch (error) {
+    if (error.code !== 'GRAMMAR_SYNTAX') throw error;
+    throw grammarInvalidError(`${source} syntax error: ${error.message}`);
+  }
+}
+
+// Syntax check plus lint (see grammar-lint.js). Lint errors always throw, warnings
+// only without `allowWarnings` (they are logged otherwise).
+function checkGrammar(grammarText, source, { allowWarnings = true, strict = true } = {}) {
+  const ast = checkGrammarSyntax(grammarText, source, { strict });
+  const findings = lintGrammar(ast);
+  const blocking = findings.filter(item => item.severity === 'error' || !allowWarnings);
+  if (blocking.length > 0) {
+    throw grammarInvalidError(`${source} lint findings:\n${formatLintFindings(blocking)}`);
+  }
+  if (findings.length > 0) {
+    log.warn(`${source} lint warnings:\n${formatLintFindings(findings)}`);
+  }
+  return ast;
+}
+
 // ---- Step 2: Compile grammar with lark-js ----
-async function compileGrammar(grammarText, outputDir, maxRetries = 3) {
-  const grammarFile = join(outputDir, 'grammar.lark');
-  const parserFile = join(outputDir, 'parser.cjs');
-  
-  await fs.mkdir(outputDir, { recursive: true });
-  await fs.writeFile(grammarFile, grammarText, 'utf8');
-  
-  console.error(`\nCompiling grammar with lark-js...`);
-  
-  // Determine the path to lark-js
+// Determine the path to lark-js
+async function resolveLarkJsCommand({ verbose = false } = {}) {
   // First try to use the virtual environment
   const venvPath = join(process.cwd(), 'venv', 'bin', 'lark-js');
   const packageVenvPath = join(new URL('.', import.meta.url).pathname, 'venv', 'bin', 'lark-js');
   
-  let larkJsCommand = 'lark-js';
-  
   // Check if we have a local venv
   try {
     await fs.access(venvPath);
-    larkJsCommand = venvPath;
-    console.error(`Using lark-js from virtual environment: ${venvPath}`);
+    if (verbose) log.info(`Using lark-js from virtual environment: ${venvPath}`);
+    return venvPath;
   } catch {
     // Try package directory venv
     try {
       await fs.access(packageVenvPath);
-      larkJsCommand = packageVenvPath;
-      console.error(`Using lark-js from package venv: ${packageVenvPath}`);
+      if (verbose) log.info(`Using lark-js from package venv: ${packageVenvPath}`);
+      return packageVenvPath;
     } catch {
       // Fall back to system lark-js
-      console.error('Using system lark-js (may need to run setup.sh first)');
+      if (verbose) log.info('Using system lark-js (may need to run setup.sh first)');
+      return 'lark-js';
+    }
+  }
+}
+
+// The installed lark-js package version, or null when it cannot be determined.
+// A venv's package metadata is read directly, so a warm parser cache never
+// needs Python; otherwise the Python environment that provides lark-js is asked.
+// LANG_GEN_LARK_JS_VERSION names the version where lark-js is not installed (e.g.
+// CI running on a cache filled elsewhere).
+let larkJsVersion;
+
+function getLarkJsVersion() {
+  return (larkJsVersion ??= findLarkJsVersion());
+}
+
+async function findLarkJsVersion() {
+  if (process.env.LANG_GEN_LARK_JS_VERSION) return process.env.LANG_GEN_LARK_JS_VERSION;
+  const larkJsCommand = await resolveLarkJsCommand();
+  if (larkJsCommand !== 'lark-js') {
+    const version = await readVenvPackageVersion(dirname(dirname(larkJsCommand)), 'lark_js');
+    if (version) return version;
+  }
+  
+  return new Promise((resolve) => {
+    let output = '';
+    const proc = spawn(larkPython(larkJsCommand), ['-c', "import importlib.metadata as m; print(m.version('lark-js'))"], {
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    proc.stdout.on('data', (data) => { output += data.toString(); });
+    proc.on('exit', (code) => resolve(code === 0 ? output.trim() || null : null));
+    proc.on('error', () => resolve(null));
+  });
+}
+
+// The Python that runs lark-js, and so has lark installed
+function larkPython(larkJsCommand) {
+  return larkJsCommand === 'lark-js' ? 'python3' : join(dirname(larkJsCommand), 'python');
+}
+
+// Version from <venv>/lib/python3.*/site-packages/<name>-<version>.dist-info
+async function readVenvPackageVersion(venvDir, name) {
+  const libDir = join(venvDir, 'lib');
+  for (const pythonDir of await fs.readdir(libDir).catch(() => [])) {
+    for (const entry of await fs.readdir(join(libDir, pythonDir, 'site-packages')).catch(() => [])) {
+      const match = new RegExp(`^${name}-(.+)\\.dist-info$`, 'i').exec(entry);
+      if (match) return match[1];
     }
   }
+  return null;
+}
+
+// ---- Compiled parser cache ----
+// parser.cjs is cached by grammar text, lark-js version, lark-js options and the
+// version of the get_parser() patch applied after compiling.
+const LARK_JS_ARGS = [];        // extra lark-js command line options
+const PARSER_PATCH_VERSION = 1; // bump when the get_parser() patch changes
+
+function parserCacheInput(grammarText, version) {
+  return { grammarText, larkJsVersion: version, options: LARK_JS_ARGS, patch: PARSER_PATCH_VERSION };
+}
+
+// Only parsers built by the same lark-js version are used, so nothing is read
+// while the version is unknown
+async function getCachedParser(grammarText, version) {
+  if (!version) {
+    log.warn('lark-js version unknown; not using the parser cache (set LANG_GEN_LARK_JS_VERSION)');
+    return null;
+  }
+  return getCached('parser', parserCacheInput(grammarText, version), { read: READ_PARSER_CACHE });
+}
+
+// `stage` names the stage in events (grammar candidates are compiled by the grammar stage).
+// `validate: false` skips the syntax check and lint for grammars generateGrammar() just checked.
+async function compileGrammar(grammarText, outputDir, maxRetries = 3, { signal, stage = 'compile', validate = true } = {}) {
+  const grammarFile = join(outputDir, 'grammar.lark');
+  const parserFile = join(outputDir, 'parser.cjs');
+  
+  // Catches hand-edited grammars with a position instead of a lark-js traceback.
+  // Generated grammars were held to the strict subset already; hand edits may use any Lark.
+  if (validate) checkGrammar(grammarText, grammarFile, { strict: false });
+  
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(grammarFile, grammarText, 'utf8');
+  
+  const version = await getLarkJsVersion();
+  const cached = await getCachedParser(grammarText, version);
+  if (cached) {
+    await fs.writeFile(parserFile, cached.output.parser, 'utf8');
+    if (cached.output.stderr) log.write(cached.output.stderr);
+    log.info('Using cached parser (lark-js not run)');
+    return { grammarFile, parserFile, output: cached.output.stderr, larkJsVersion: cached.input.larkJsVersion };
+  }
+  
+  log.info(`\nCompiling grammar with lark-js...`);
+  
+  const larkJsCommand = await resolveLarkJsCommand({ verbose: true });
   
   let attempts = 0;
   let lastError = null;
@@ -417,26 +844,30 @@ async function compileGrammar(grammarText, outputDir, maxRetries = 3) {
     attempts++;
     
     if (attempts > 1) {
-      console.error(`\nRetrying grammar compilation (attempt ${attempts}/${maxRetries})...`);
+      log.info(`\nRetrying grammar compilation (attempt ${attempts}/${maxRetries})...`);
+      emitEvent('retry', { stage, attempt: attempts, maxAttempts: maxRetries, error: lastError?.message });
     }
     
     try {
       const result = await new Promise((resolve, reject) => {
         let errorOutput = '';
         
-        const proc = spawn(larkJsCommand, [grammarFile, '-o', parserFile], {
-          stdio: ['inherit', 'inherit', 'pipe']  // Capture stderr
+        const proc = spawn(larkJsCommand, [grammarFile, '-o', parserFile, ...LARK_JS_ARGS], {
+          stdio: ['inherit', 'pipe', 'pipe'],  // Capture stderr; stdout may be carrying events
+          signal
         });
         
+        proc.stdout.on('data', (data) => log.write(data));
+        
         // Capture error output
         proc.stderr.on('data', (data) => {
           errorOutput += data.toString();
-          process.stderr.write(data);  // Still output to console
+          log.write(data);  // Still output to console
         });
         
         proc.on('exit', async (code) => {
           if (code === 0) {
-            console.error('Grammar compiled successfully');
+            log.info('Grammar compiled successfully');
             
             // Fix the generated parser to remove unsupported options
             try {
@@ -464,12 +895,15 @@ async function compileGrammar(grammarText, outputDir, maxRetries = 3) {
               
               parserContent = parserContent.replace(getParserRegex, newGetParser);
               await fs.writeFile(parserFile, parserContent, 'utf8');
-              console.error('Parser fixed to remove unsupported options');
+              log.info('Parser fixed to remove unsupported options');
+              if (version) {
+                await saveCache('parser', parserCacheInput(grammarText, version), { parser: parserContent, stderr: errorOutput });
+              }
             } catch (err) {
-              console.error('Warning: Could not fix parser options:', err.message);
+              log.warn('Warning: Could not fix parser options:', err.message);
             }
             
-            resolve({ grammarFile, parserFile });
+            resolve({ grammarFile, parserFile, output: errorOutput, larkJsVersion: version });
           } else {
             const error = new Error(`lark-js exited with code ${code}`);
             error.output = errorOutput;
@@ -479,6 +913,9 @@ async function compileGrammar(grammarText, outputDir, maxRetries = 3) {
         });
         
         proc.on('error', (err) => {
+          if (signal?.aborted) {
+            return reject(abortError());
+          }
           if (err.code === 'ENOENT') {
             err.message = 'lark-js not found. Run: npm run postinstall (or ./setup.sh)';
           }
@@ -490,34 +927,221 @@ async function compileGrammar(grammarText, outputDir, maxRetries = 3) {
       return result;  // Success!
       
     } catch (error) {
+      if (isAbortError(error)) throw error;
       lastError = error;
       
-      console.error(`\n❌ Grammar compilation failed (attempt ${attempts}/${maxRetries})`);
-      console.error(`Error: ${error.message}`);
+      log.error(`\n❌ Grammar compilation failed (attempt ${attempts}/${maxRetries})`);
+      log.error(`Error: ${error.message}`);
+      emitEvent('compile.error', { stage, attempt: attempts, maxAttempts: maxRetries, message: error.message, output: error.output || '' });
       
       if (error.output) {
-        console.error('\n--- Compilation Error Details ---');
-        console.error(error.output);
+        log.error('\n--- Compilation Error Details ---');
+        log.error(error.output);
       }
       
+      // A missing lark-js will not appear by retrying
+      if (error.code === 'ENOENT') break;
+      
       if (attempts < maxRetries) {
-        console.error('\n--- Original Grammar ---');
-        console.error(grammarText);
-        console.error('--- End Grammar ---\n');
+        log.info('\n--- Original Grammar ---');
+        log.info(grammarText);
+        log.info('--- End Grammar ---\n');
         
         // Wait a bit before retry
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await sleep(1000, signal);
       }
     }
   }
   
   // All retries exhausted
-  const finalError = new Error(`Grammar compilation failed after ${maxRetries} attempts. Last error: ${lastError.message}`);
+  const finalError = new Error(`Grammar compilation failed after ${attempts} attempt(s). Last error: ${lastError.message}`);
   finalError.grammarText = grammarText;
   finalError.lastError = lastError;
   throw finalError;
 }
 
+// ---- Step 1b: Best of several grammars (--grammar-candidates) ----
+// Generate `count` grammars, compile each in a scratch directory, parse the
+// samples with it and keep the best-scoring one (see grammar-score.js).
+async function generateGrammarCandidates(spec, samples, count, { provider = getDefaultProvider(), signal, concurrency = 1, fewShot = false } = {}) {
+  log.info(`Generating ${count} grammar candidates for: ${spec}`);
+  
+  const texts = await inParallel(concurrency, Array.from({ length: count }, (_, i) => () =>
+    withLogger(labelledLogger(getLogger(), `candidate ${i + 1}`), async () => {
+      try {
+        return { grammarText: await generateGrammar(spec, 3, { provider, signal, candidate: i, fewShot, samples }) };
+      } catch (error) {
+        // A run-wide stop is not a bad candidate
+        if (isAbortError(error) || error.code === 'TOKEN_BUDGET_EXCEEDED') throw error;
+        return { error: error.message };
+      } finally {
+        getLogger().flush?.();
+      }
+    })
+  ));
+  
+  if (texts.every(result => result.error)) {
+    throw new Error(`All ${count} grammar candidates failed. First error: ${texts[0].error}`);
+  }
+  
+  const candidates = [];
+  for (const [i, result] of texts.entries()) {
+    const candidate = result.error
+      ? { index: i + 1, generated: false, error: result.error, score: -Infinity }
+      : await withLogger(labelledLogger(getLogger(), `candidate ${i + 1}`), () => evaluateGrammarCandidate(i + 1, result.grammarText, samples, signal));
+    candidates.push(candidate);
+    emitEvent('grammar.candidate', { stage: 'grammar', ...candidateSummary(candidate) });
+  }
+  
+  // Ties go to the earlier candidate
+  const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+  log.info(`\n${formatCandidateTable(candidates, best.index)}`);
+  
+  return {
+    grammarText: best.grammarText,
+    report: {
+      chosen: best.index,
+      candidates: candidates.map(candidate => candidate === best
+        ? candidateSummary(candidate)
+        : { ...candidateSummary(candidate), rejected: rejectionReasons(candidate, best), grammarText: candidate.grammarText })
+    }
+  };
+}
+
+async function evaluateGrammarCandidate(index, grammarText, samples, signal) {
+  const candidate = {
+    index,
+    generated: true,
+    grammarText,
+    compiled: false,
+    compileError: null,
+    samplesParsed: 0,
+    samplesTotal: samples.length,
+    parseErrors: [],
+    conflicts: await findLalrConflicts(grammarText, signal),
+    aliasCoverage: aliasCoverage(grammarText),
+    ruleCount: extractASTSchema(grammarText).rules.length
+  };
+  
+  try {
+    const failures = await parseSamplesWithGrammar(grammarText, samples, signal);
+    candidate.compiled = true;
+    candidate.samplesParsed = samples.length - failures.length;
+    candidate.parseErrors = failures.map(({ sample, error }) => ({ sample, error: describeParseError(error) }));
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    candidate.compileError = (error.lastError || error).message;
+  }
+  
+  if (candidate.conflicts === null) log.warn('Could not count LALR conflicts (lark did not run); scoring without them');
+  
+  candidate.score = scoreCandidate(candidate);
+  return candidate;
+}
+
+// LALR conflicts in a grammar, counted from lark's own log, or null when lark
+// cannot be run. lark-js resolves shift/reduce conflicts as shifts and says
+// nothing, so lark builds the parser again in debug mode, which logs each one.
+const CONFLICT_SCRIPT = [
+  'import logging, sys',
+  'from lark import Lark, logger',
+  'logger.setLevel(logging.DEBUG)',
+  "Lark(sys.stdin.read(), parser='lalr', debug=True)"
+].join('\n');
+
+async function findLalrConflicts(grammarText, signal) {
+  const python = larkPython(await resolveLarkJsCommand());
+  
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const proc = spawn(python, ['-c', CONFLICT_SCRIPT], { stdio: ['pipe', 'ignore', 'pipe'], signal });
+    proc.stderr.on('data', (data) => { output += data.toString(); });
+    // Reduce/reduce collisions stop lark with an error listing them
+    proc.on('exit', (code) => resolve(code === 0 || /Reduce\/Reduce collision/.test(output) ? countConflicts(output) : null));
+    proc.on('error', () => (signal?.aborted ? reject(abortError()) : resolve(null)));
+    proc.stdin.on('error', () => {});  // Python missing or exited early
+    proc.stdin.end(grammarText);
+  });
+}
+
+// ---- Step 1c: Samples against a new grammar ----
+// Compile the grammar in a scratch directory (one lark-js attempt) and parse each
+// sample with it. The parser is cached like any other when cache writes are on and
+// the lark-js version is known; only then does the compile stage skip lark-js.
+// Returns the samples that failed: [{ sample, error }].
+async function parseSamplesWithGrammar(grammarText, samples, signal) {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'lang-gen-grammar-'));
+  try {
+    const { parserFile } = await compileGrammar(grammarText, dir, 1, { signal, stage: 'grammar', validate: false });
+    const { get_parser } = createRequire(import.meta.url)(parserFile);
+    const parser = get_parser();
+    const failures = [];
+    for (const sample of samples) {
+      try {
+        parser.parse(sample);
+      } catch (error) {
+        failures.push({ sample, error });
+      }
+    }
+    return failures;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// What to tell the model about samples the grammar does not parse, or null when
+// they all parse. A grammar that does not compile here is left to the compile stage.
+async function sampleParseFeedback(grammarText, samples, signal) {
+  if (samples.length === 0) return null;
+  
+  let failures;
+  try {
+    failures = await parseSamplesWithGrammar(grammarText, samples, signal);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    log.warn(`Could not parse the samples with the grammar: ${(error.lastError || error).message}`);
+    return null;
+  }
+  if (failures.length === 0) return null;
+  
+  const details = failures.map(({ sample, error }) => formatSampleParseError(samples.indexOf(sample) + 1, sample, error));
+  return `${failures.length} of ${samples.length} sample(s) do not parse with this grammar:\n${details.join('\n')}`;
+}
+
+// "Sample 2: unexpected SEMICOLON ";" at line 1, column 8; expected one of: LPAR, NUMBER"
+// plus the sample line with a caret under the position
+function formatSampleParseError(number, sample, error) {
+  const atEnd = error.token?.type === '$END' || error.token?.type === '<EOF>';
+  let found = describeParseError(error);
+  if (error.char !== undefined) {
+    found = `unexpected character "${error.char}"`;
+  } else if (atEnd) {
+    found = 'unexpected end of input';
+  } else if (error.token) {
+    found = `unexpected ${error.token.type} "${error.token.value}"`;
+  }
+  
+  const expected = [...(error.expected ?? error.allowed ?? [])].sort();
+  const hasPosition = !atEnd && Number.isInteger(error.line) && error.line > 0;
+  const line = hasPosition ? sample.split('\n')[error.line - 1] : null;
+  return `Sample ${number}: ${found}` +
+    (hasPosition ? ` at line ${error.line}, column ${error.column}` : '') +
+    (expected.length > 0 ? `; expected one of: ${expected.join(', ')}` : '') +
+    (line !== null && line !== undefined ? `\n  ${line}\n  ${' '.repeat(Math.max(error.column - 1, 0))}^` : '');
+}
+
+// Lark.js parse errors often have an empty message
+function describeParseError(error) {
+  if (error.message) return error.message;
+  const expected = error.expected ? `; expected one of: ${[...error.expected].join(', ')}` : '';
+  return `${error.constructor.name} at line ${error.line}, column ${error.column}${expected}`;
+}
+
+// A candidate as reported in grammar-candidates.json and events
+function candidateSummary({ grammarText, ...candidate }) {
+  return candidate;
+}
+
 // ---- Step 3: Extract AST schema from grammar ----
 function extractASTSchema(grammarText) {
   const ruleRe = /^([a-z_][a-z0-9_]*)\s*:/gm;
@@ -542,378 +1166,303 @@ function extractASTSchema(grammarText) {
 }
 
 // ---- Step 4: Generate example program ----
-async function generateExampleProgram(spec, grammarText, semantics) {
+// Build the example program request. Shared by generation and --plan.
+function exampleVariables(spec, grammarText, semantics) {
+  return { spec, grammarText, semantics, sample: currentSample() };
+}
+
+function buildExamplePrompt(spec, grammarText, semantics) {
+  return renderPrompt('example', exampleVariables(spec, grammarText, semantics));
+}
+
+async function generateExampleProgram(spec, grammarText, semantics, { provider = getDefaultProvider(), signal } = {}) {
   // Check cache first
-  const cacheInput = { spec, grammarText, semantics };
+  const settings = getModelSettings('example');
+  const cacheInput = requestCacheInput('example', exampleVariables(spec, grammarText, semantics), provider);
   const cached = await getCached('example', cacheInput);
   if (cached) {
     return cached.output;
   }
   
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
-  console.error(`\nGenerating example program...`);
-  
-  const instructions = `You are a code example writer.
-Output ONLY example code that conforms to the provided grammar.
-The example should demonstrate the key features of the language.${GLOBAL_SAMPLE ? `\n\nUSE THIS AS INSPIRATION:\nHere's an example of the kind of program this language should support:\n${GLOBAL_SAMPLE}` : ''}`;
+  log.info(`\nGenerating example program...`);
   
-  const input = `Given this language specification and grammar, write a good example program.
-
-Language specification: ${spec}
-
-Grammar:
-${grammarText}
-
-Semantics: ${semantics}
-
-The example should be:
-- Clear and well-commented (if the language supports comments)
-- Demonstrate the main features
-- Be relatively short but meaningful
-- Include expected output or result as a comment if possible`;
+  const { instructions, input } = buildExamplePrompt(spec, grammarText, semantics);
+  checkTokenBudget('example', estimateTokens(instructions, input, grammarText));
   
   try {
-    const stream = await client.responses.create({
-      model,
+    const response = await collectStream(provider, {
+      ...settings,
       instructions,
       input,
-      stream: true,
-      tools: [{
-        type: "custom",
-        name: "example_program",
-        description: "Generate an example program that conforms to the provided grammar",
-        format: {
-          type: "grammar",
-          syntax: "lark",
-          definition: grammarText
-        }
-      }],
-      tool_choice: "required"
-    });
-    
-    let exampleCode = '';
-    
-    // Process the streaming response
-    for await (const event of stream) {
-      // Check for error events
-      if (event?.error) {
-        throw new Error(event.error.message || 'Example generation failed');
+      grammar: {
+        name: 'example_program',
+        description: 'Generate an example program that conforms to the provided grammar',
+        definition: grammarText
       }
-      
-      // Extract text from various event formats
-      if (typeof event === 'string') {
-        exampleCode += event;
-      } else if (event?.type === 'response.custom_tool_call_input.delta' && event?.delta) {
-        exampleCode += event.delta;
-      } else if (event?.custom_tool_call_input?.delta) {
-        exampleCode += event.custom_tool_call_input.delta;
-      } else if (event?.output_text) {
-        exampleCode += event.output_text;
-      } else if (event?.delta?.output_text) {
-        exampleCode += event.delta.output_text;
-      }
-      // Ignore done/complete events
-      else if (event?.type?.includes('done') || event?.type?.includes('complete')) {
-        // Status events, ignore
-      }
-    }
+    }, { stage: 'example', signal });
     
-    exampleCode = exampleCode.trim();
+    const exampleCode = response.text.trim();
     
     // Cache successful result
-    await saveCache('example', cacheInput, exampleCode);
+    await saveCache('example', cacheInput, exampleCode, response.usage);
     
     return exampleCode;
   } catch (error) {
-    console.error('Warning: Failed to generate example program:', error.message);
+    if (isAbortError(error)) throw error;
+    log.warn('Warning: Failed to generate example program:', error.message);
     // Return a simple fallback example
     return `// Example program for ${spec}\n// (Auto-generation failed, using fallback)\n\n// Add your code here\n`;
   }
 }
 
 // ---- Step 5: Test and fix generated code ----
-async function testGeneratedCode(parserFile, interpreterFile, sampleCode, spec, grammarText, schema, semantics, maxRetries = 3) {
+// Run the interpreter in `interpreterFile` (freshly imported) on `sampleCode`.
+// Whatever it prints goes to the log rather than stdout, which may be carrying
+// the event stream.
+async function runInterpreter(interpreterFile, get_parser, sampleCode) {
+  const { makeRunner } = await import(interpreterFile + '?t=' + Date.now());
+  const run = makeRunner(get_parser);
+  const write = process.stdout.write;
+  process.stdout.write = (chunk, encoding, callback) => {
+    log.write(chunk);
+    (typeof encoding === 'function' ? encoding : callback)?.();
+    return true;
+  };
+  try {
+    return await run(sampleCode);
+  } finally {
+    process.stdout.write = write;
+  }
+}
+
+// options.nonInteractive skips the menu and applies options.onTestFailure
+// ('autofix' | 'continue' | 'fail') instead. maxRetries caps the fix attempts.
+// options.provider is the model provider used for fixes, options.signal cancels them.
+async function testGeneratedCode(parserFile, interpreterFile, sampleCode, spec, grammarText, schema, semantics, maxRetries = 3, options = {}) {
+  const { nonInteractive = false, onTestFailure = 'autofix', provider = getDefaultProvider(), signal } = options;
   const require = createRequire(import.meta.url);
   
   // Ensure absolute paths
   const absoluteParserFile = parserFile.startsWith('/') ? parserFile : join(process.cwd(), parserFile);
   const absoluteInterpreterFile = interpreterFile.startsWith('/') ? interpreterFile : join(process.cwd(), interpreterFile);
   
-  try {
-    console.error(`\n--- Testing generated code ---`);
-    console.error(`Test input: "${sampleCode}"`);
-    
-    // Clear module cache to reload fresh versions
-    if (require.cache[absoluteParserFile]) {
-      delete require.cache[absoluteParserFile];
-    }
-    
+  // Reloaded from disk (not the module cache) so a recompiled parser is picked up
+  function loadParser() {
+    delete require.cache[absoluteParserFile];
     const parserModule = require(absoluteParserFile);
-    const get_parser = parserModule.get_parser || parserModule.default?.get_parser;
-    
-    if (!get_parser) {
+    const loaded = parserModule.get_parser || parserModule.default?.get_parser;
+    if (!loaded) {
       throw new Error('Parser module missing get_parser function');
     }
+    return loaded;
+  }
+  
+  // Declared out here: the fix attempts below reuse it
+  let get_parser;
+  
+  try {
+    log.info(`\n--- Testing generated code ---`);
+    log.info(`Test input: "${sampleCode}"`);
     
-    // Clear module cache for interpreter too
-    const interpreterUrl = new URL(absoluteInterpreterFile, import.meta.url).href;
+    get_parser = loadParser();
     
-    const { makeRunner } = await import(absoluteInterpreterFile + '?t=' + Date.now());
-    const run = makeRunner(get_parser);
-    const result = await run(sampleCode);
+    const result = await runInterpreter(absoluteInterpreterFile, get_parser, sampleCode);
     
-    console.error('✓ Test successful!');
+    log.info('✓ Test successful!');
     return { success: true, result };
     
   } catch (error) {
-    console.error(`✗ Test failed: ${error.message}`);
+    // Parse errors from lark.js often have an empty message
+    const message = describeParseError(error);
+    log.error(`✗ Test failed: ${message}`);
     
     // Read the current interpreter file
     const currentInterpreterCode = await fs.readFile(absoluteInterpreterFile, 'utf8');
     
-    // Prompt user for action
-    console.error('\n--- Interpreter Test Failed ---');
-    console.error('The generated interpreter encountered an error during testing.');
-    console.error(`\nError: ${error.message}`);
-    console.error(`Test input: "${sampleCode}"`);
-    console.error('\nWhat would you like to do?');
-    console.error('1. Provide instructions to fix the interpreter');
-    console.error('2. Try automatic fix');
-    console.error('3. Continue anyway (files may need manual fixes)');
-    console.error('4. Abort generation');
-    console.error('\nEnter your choice (1/2/3/4): ');
+    log.info('\n--- Interpreter Test Failed ---');
+    log.info('The generated interpreter encountered an error during testing.');
+    log.error(`\nError: ${message}`);
+    log.info(`Test input: "${sampleCode}"`);
     
-    const choice = await promptUser();
+    let choice;
+    if (nonInteractive) {
+      // Map the failure policy onto the same choices as the interactive menu
+      choice = { autofix: '2', continue: '3', fail: '4' }[onTestFailure];
+      log.info(`\nNon-interactive mode: on-test-failure=${onTestFailure}`);
+      if (choice === '2' && maxRetries < 1) {
+        log.info('Autofix budget exhausted.');
+        return { success: false, error: message, fixAttempts: 0 };
+      }
+    } else {
+      // Prompt user for action
+      log.info('\nWhat would you like to do?');
+      log.info('1. Provide instructions to fix the interpreter');
+      log.info('2. Try automatic fix');
+      log.info('3. Continue anyway (files may need manual fixes)');
+      log.info('4. Abort generation');
+      log.info('\nEnter your choice (1/2/3/4): ');
+      
+      choice = await promptUser(signal);
+    }
     
     if (choice === '1') {
       // Get user's fix instructions
-      console.error('\nDescribe what needs to be fixed (press Enter when done):');
-      const userInstructions = await promptUser();
+      log.info('\nDescribe what needs to be fixed (press Enter when done):');
+      const userInstructions = await promptUser(signal);
       
-      console.error('\nRegenerating interpreter with your instructions...');
+      log.info('\nRegenerating interpreter with your instructions...');
       
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        console.error(`\n--- Fix attempt ${attempt}/${maxRetries} ---`);
+        log.info(`\n--- Fix attempt ${attempt}/${maxRetries} ---`);
+        emitEvent('retry', { stage: 'test', attempt, maxAttempts: maxRetries, error: message });
         
         try {
           // Regenerate with user instructions
-          const fixedCode = await regenerateInterpreterWithUserFix(
-            grammarText,
-            schema,
-            semantics,
-            error.message,
-            sampleCode,
-            currentInterpreterCode,
-            userInstructions
-          );
+          const fixedCode = await regenerateInterpreter(grammarText, schema, semantics, message, sampleCode, {
+            userInstructions,
+            currentCode: currentInterpreterCode,
+            provider,
+            signal
+          });
           
           // Write the fixed interpreter
           await fs.writeFile(absoluteInterpreterFile, fixedCode, 'utf8');
-          console.error('Interpreter regenerated with your fixes');
+          log.info('Interpreter regenerated with your fixes');
           
-          // Test again
-          // Clear module cache
-          if (require.cache[absoluteParserFile]) {
-            delete require.cache[absoluteParserFile];
-          }
+          // Test again (loading the parser now if that is what failed)
+          get_parser ??= loadParser();
           
-          const { makeRunner: makeRunnerFixed } = await import(absoluteInterpreterFile + '?t=' + Date.now());
-          const runFixed = makeRunnerFixed(get_parser);
-          const resultFixed = await runFixed(sampleCode);
+          const resultFixed = await runInterpreter(absoluteInterpreterFile, get_parser, sampleCode);
           
-          console.error('✓ Fix successful!');
+          log.info('✓ Fix successful!');
           return { success: true, result: resultFixed };
           
         } catch (fixError) {
-          console.error(`✗ Fix attempt ${attempt} failed: ${fixError.message}`);
+          if (fixError.code === 'TOKEN_BUDGET_EXCEEDED' || isAbortError(fixError)) throw fixError;
+          const fixMessage = describeParseError(fixError);
+          log.error(`✗ Fix attempt ${attempt} failed: ${fixMessage}`);
           if (attempt === maxRetries) {
-            console.error('\nFix attempts exhausted. Would you like to:');
-            console.error('1. Try again with different instructions');
-            console.error('2. Continue anyway');
-            console.error('3. Abort');
-            const retryChoice = await promptUser();
+            log.info('\nFix attempts exhausted. Would you like to:');
+            log.info('1. Try again with different instructions');
+            log.info('2. Continue anyway');
+            log.info('3. Abort');
+            const retryChoice = await promptUser(signal);
             
             if (retryChoice === '1') {
               // Recursive call to try again
-              return testGeneratedCode(parserFile, interpreterFile, sampleCode, spec, grammarText, schema, semantics, maxRetries);
+              return testGeneratedCode(parserFile, interpreterFile, sampleCode, spec, grammarText, schema, semantics, maxRetries, options);
             } else if (retryChoice === '2') {
-              return { success: false, error: fixError.message, continued: true };
+              return { success: false, error: fixMessage, continued: true };
             } else {
-              process.exit(1);
+              throw testFailureError(fixMessage);
             }
           }
         }
       }
     } else if (choice === '2') {
       // Try automatic fix
-      console.error('\nAttempting automatic fix...');
+      log.info('\nAttempting automatic fix...');
       
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        console.error(`\n--- Fix attempt ${attempt}/${maxRetries} ---`);
+        log.info(`\n--- Fix attempt ${attempt}/${maxRetries} ---`);
+        emitEvent('retry', { stage: 'test', attempt, maxAttempts: maxRetries, error: message });
         
         try {
           // Regenerate the interpreter with error context
-          const fixedCode = await regenerateInterpreterWithFix(
-            grammarText, 
-            schema, 
-            semantics, 
-            error.message,
-            sampleCode
-          );
+          const fixedCode = await regenerateInterpreter(grammarText, schema, semantics, message, sampleCode, { provider, signal });
           
           // Write the fixed interpreter
           await fs.writeFile(absoluteInterpreterFile, fixedCode, 'utf8');
-          console.error('Interpreter regenerated with fixes');
+          log.info('Interpreter regenerated with fixes');
           
-          // Test again
-          // Clear module cache
-          if (require.cache[absoluteParserFile]) {
-            delete require.cache[absoluteParserFile];
-          }
+          // Test again (loading the parser now if that is what failed)
+          get_parser ??= loadParser();
           
-          const { makeRunner: makeRunnerFixed } = await import(absoluteInterpreterFile + '?t=' + Date.now());
-          const runFixed = makeRunnerFixed(get_parser);
-          const resultFixed = await runFixed(sampleCode);
+          const resultFixed = await runInterpreter(absoluteInterpreterFile, get_parser, sampleCode);
           
-          console.error('✓ Fix successful!');
-          return { success: true, result: resultFixed };
+          log.info('✓ Fix successful!');
+          return { success: true, result: resultFixed, fixAttempts: attempt };
           
         } catch (fixError) {
-          console.error(`✗ Fix attempt ${attempt} failed: ${fixError.message}`);
+          if (fixError.code === 'TOKEN_BUDGET_EXCEEDED' || isAbortError(fixError)) throw fixError;
+          const fixMessage = describeParseError(fixError);
+          log.error(`✗ Fix attempt ${attempt} failed: ${fixMessage}`);
           if (attempt === maxRetries) {
-            console.error('\nAll automatic fix attempts exhausted.');
-            return { success: false, error: fixError.message };
+            log.info('\nAll automatic fix attempts exhausted.');
+            return { success: false, error: fixMessage, fixAttempts: attempt };
           }
         }
       }
     } else if (choice === '3') {
       // Continue anyway
-      console.error('\nContinuing with potentially broken interpreter...');
-      return { success: false, error: error.message, continued: true };
+      log.info('\nContinuing with potentially broken interpreter...');
+      return { success: false, error: message, continued: true };
     } else {
       // Abort
-      console.error('\nAborting generation.');
-      process.exit(1);
+      log.info('\nAborting generation.');
+      throw testFailureError(message);
     }
   }
 }
 
+function testFailureError(message) {
+  const error = new Error(`Interpreter test failed: ${message}`);
+  error.exitCode = EXIT_CODES.TEST;
+  error.testError = message;
+  return error;
+}
+
 // Helper function to prompt user for input
-async function promptUser() {
-  return new Promise((resolve) => {
+// Ctrl-C at the prompt (or `signal` firing) cancels like it does elsewhere
+async function promptUser(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stderr
     });
+    const cancel = () => {
+      rl.close();
+      reject(abortError());
+    };
+    rl.on('SIGINT', cancel);
+    signal?.addEventListener('abort', cancel, { once: true });
     
     rl.question('', (answer) => {
+      signal?.removeEventListener('abort', cancel);
       rl.close();
       resolve(answer.trim());
     });
   });
 }
 
-async function regenerateInterpreterWithUserFix(grammarText, schema, semantics, errorMessage, sampleCode, currentCode, userInstructions) {
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
+// Ask for a fixed interpreter after `errorMessage` on `sampleCode`. With
+// `userInstructions` (option 1 of the test failure prompt) the model also gets
+// the user's instructions and the current code.
+async function regenerateInterpreter(grammarText, schema, semantics, errorMessage, sampleCode, { userInstructions, currentCode, provider = getDefaultProvider(), signal } = {}) {
+  const settings = getModelSettings('interpreterFix');
   
-  const instructions = `
-You write a self-contained JavaScript module that INTERPRETS programs written in a DSL.
-Do NOT restate or explain anything; output ONLY code.
-
-CRITICAL: The previous interpreter failed with this error:
-${errorMessage}
-
-When testing with sample input: "${sampleCode}"
-
-USER'S FIX INSTRUCTIONS:
-${userInstructions}
-
-CURRENT INTERPRETER CODE THAT FAILED:
-<<<CURRENT_CODE
-${currentCode}
-CURRENT_CODE>>>
-
-The user has specifically requested the above fixes. Make sure to address their concerns while fixing the error.
-
-Common issues to avoid:
-- The parser may not accept options like 'strict' or 'ordered_sets' - don't pass them
-- Make sure to only pass supported options to get_parser: propagate_positions, transformer, tree_class, debug
-- Ensure the evaluate function handles all AST node types properly
-- Token nodes have { type, value } structure
-- Tree nodes have { type, children } structure
-- If the grammar requires semicolons at statement end, consider auto-adding them for convenience
-- The evaluate function must return the final result, not undefined
-
-Requirements for your output:
-- Define ONLY an \`evaluate(ast)\` function that interprets the AST
-- DO NOT include the run function or parser setup - that's handled by the prelude
-- DO NOT try to parse or call get_parser - you only work with the AST
-- The evaluate function should handle all node types from the grammar
-- Use the node.type field to determine which rule/alias is being evaluated
-- Token nodes have { type, value } structure
-- Tree nodes have { type, children } structure
-- No eval(), no network, deterministic, side-effect free (unless SEMANTICS says otherwise).
-- Include helpful error messages for unknown node types.
-
-CRITICAL for handling operators:
-- Operators appear as token nodes in the children array between operands
-- Check token.type (not token.value) for operator tokens like ADD_OP, SUB_OP, MUL_OP, DIV_OP
-- Example: For "1 + 2", the sum node will have children: [operand1, ADD_OP token, operand2]
-- When processing binary operations, iterate through children finding alternating operands and operators
-
-Keep the code idiomatic, readable, with small helpers for walking the AST.`;
-
-  // Add sample code if provided
-  if (GLOBAL_SAMPLE) {
-    instructions += `\n\nEXAMPLE PROGRAM TO INTERPRET:\nYour interpreter must be able to correctly handle this example:\n${GLOBAL_SAMPLE}`;
-  }
-
-  const astNotes = {
-    node_kinds: [
-      "Tree nodes use rule or alias names as `type`",
-      "Token leaves use `{ type: TOKEN_NAME, value: '...' }`",
-      "Sequences appear as `children: [...]` in order"
-    ],
-    entry: "start",
-    rules: schema.rules,
-    tokens: schema.tokens,
-    preferred_node_types: schema.nodeTypes
-  };
-
-  const prompt = `
-GRAMMAR:
-<<<LARK
-${grammarText}
-LARK>>>
-
-AST NOTES (structure only):
-${JSON.stringify(astNotes, null, 2)}
-
-SEMANTICS (what the language should DO):
-<<<SEM
-${semantics}
-SEM>>>
-
-Write ONLY the evaluate function now. Output ONLY code. 
-The function signature must be: function evaluate(ast) { ... }
-DO NOT export anything - the prelude handles exports.
-DO NOT create a run function - the prelude handles that.
-Use AST node \`type\` strings from the notes above (prefer alias names if present).`;
-
-  console.error('Requesting fixed interpreter from AI with user instructions...');
-  
-  const response = await client.responses.create({
-    model,
-    instructions,
-    input: prompt,
-    stream: false
+  const { instructions, input } = renderPrompt('interpreterFix', {
+    ...interpreterVariables(grammarText, schema, semantics),
+    errorMessage,
+    sampleCode,
+    userInstructions,
+    currentCode
   });
 
-  // Extract the actual output text from the response
-  const code = response.output_text || response.output || '';
+  log.info(`Requesting fixed interpreter from AI${userInstructions ? ' with user instructions' : ''}...`);
   
-  // Prelude that provides the parser integration
-  const prelude = `/* PRELUDE injected by lang-gen */
+  checkTokenBudget('interpreterFix', estimateTokens(instructions, input));
+  
+  const { text: code } = await collectStream(provider, { ...settings, instructions, input }, { stage: 'interpreterFix', echo: true, signal });
+  
+  return PRELUDE + '\n' + code;
+}
+
+// ---- Step 5: Generate interpreter ----
+// Prelude that provides the parser integration; the generated code below it defines evaluate()
+const PRELUDE = `/* PRELUDE injected by lang-gen */
 export function makeRunner(get_parser) {
   const parser = get_parser({ propagate_positions: true });
   
@@ -943,54 +1492,9 @@ export function makeRunner(get_parser) {
 /* USER CODE BELOW */
 `;
 
-  return prelude + '\n' + code;
-}
-
-async function regenerateInterpreterWithFix(grammarText, schema, semantics, errorMessage, sampleCode) {
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
-  
-  const instructions = `
-You write a self-contained JavaScript module that INTERPRETS programs written in a DSL.
-Do NOT restate or explain anything; output ONLY code.
-
-CRITICAL: The previous interpreter failed with this error:
-${errorMessage}
-
-When testing with sample input: "${sampleCode}"
-
-Common issues to avoid:
-- The parser may not accept options like 'strict' or 'ordered_sets' - don't pass them
-- Make sure to only pass supported options to get_parser: propagate_positions, transformer, tree_class, debug
-- Ensure the evaluate function handles all AST node types properly
-- Token nodes have { type, value } structure
-- Tree nodes have { type, children } structure
-- If the grammar requires semicolons at statement end, consider auto-adding them for convenience
-- The evaluate function must return the final result, not undefined
-
-Requirements for your output:
-- Define ONLY an \`evaluate(ast)\` function that interprets the AST
-- DO NOT include the run function or parser setup - that's handled by the prelude
-- DO NOT try to parse or call get_parser - you only work with the AST
-- The evaluate function should handle all node types from the grammar
-- Use the node.type field to determine which rule/alias is being evaluated
-- Token nodes have { type, value } structure
-- Tree nodes have { type, children } structure
-- No eval(), no network, deterministic, side-effect free (unless SEMANTICS says otherwise).
-- Include helpful error messages for unknown node types.
-
-CRITICAL for handling operators:
-- Operators appear as token nodes in the children array between operands
-- Check token.type (not token.value) for operator tokens like ADD_OP, SUB_OP, MUL_OP, DIV_OP
-- Example: For "1 + 2", the sum node will have children: [operand1, ADD_OP token, operand2]
-- When processing binary operations, iterate through children finding alternating operands and operators
-
-Keep the code idiomatic, readable, with small helpers for walking the AST.`;
-
-  // Add sample code if provided
-  if (GLOBAL_SAMPLE) {
-    instructions += `\n\nEXAMPLE PROGRAM TO INTERPRET:\nYour interpreter must be able to correctly handle this example:\n${GLOBAL_SAMPLE}`;
-  }
-
+// Build the interpreter request. Shared by generation and --plan.
+// Variables shared by the interpreter and interpreterFix prompts
+function interpreterVariables(grammarText, schema, semantics) {
   const astNotes = {
     node_kinds: [
       "Tree nodes use rule or alias names as `type`",
@@ -1002,314 +1506,299 @@ Keep the code idiomatic, readable, with small helpers for walking the AST.`;
     tokens: schema.tokens,
     preferred_node_types: schema.nodeTypes
   };
-
-  const prompt = `
-GRAMMAR:
-<<<LARK
-${grammarText}
-LARK>>>
-
-AST NOTES (structure only):
-${JSON.stringify(astNotes, null, 2)}
-
-SEMANTICS (what the language should DO):
-<<<SEM
-${semantics}
-SEM>>>
-
-Write ONLY the evaluate function now. Output ONLY code. 
-The function signature must be: function evaluate(ast) { ... }
-DO NOT export anything - the prelude handles exports.
-DO NOT create a run function - the prelude handles that.
-Use AST node \`type\` strings from the notes above (prefer alias names if present).`;
-
-  console.error('Requesting fixed interpreter from AI...');
-  
-  const response = await client.responses.create({
-    model,
-    instructions,
-    input: prompt,
-    stream: false
-  });
-
-  // Extract the actual output text from the response
-  const code = response.output_text || response.output || '';
-  
-  // Prelude that provides the parser integration
-  const prelude = `/* PRELUDE injected by lang-gen */
-export function makeRunner(get_parser) {
-  const parser = get_parser({ propagate_positions: true });
-  
-  function treeToJSON(node) {
-    if (!node) return node;
-    // Token (has type and value, but not data)
-    if (node && node.type && 'value' in node && !('data' in node)) {
-      return { type: node.type, value: node.value };
-    }
-    // Tree (has data and children)
-    if (node && node.data && Array.isArray(node.children)) {
-      const children = node.children.map(treeToJSON).filter(x => x !== undefined);
-      return { type: node.data, children };
-    }
-    return node;
-  }
-  
-  return async function run(input) {
-    const cst = parser.parse(input);
-    const ast = treeToJSON(cst);
-    // User code below will define evaluate()
-    const result = await evaluate(ast);
-    return result;
-  }
+  return { grammarText, astNotes: JSON.stringify(astNotes, null, 2), semantics, sample: currentSample() };
 }
 
-/* USER CODE BELOW */
-`;
-
-  return prelude + '\n' + code;
+function buildInterpreterPrompt(grammarText, schema, semantics) {
+  return renderPrompt('interpreter', interpreterVariables(grammarText, schema, semantics));
 }
 
-// ---- Step 5: Generate interpreter ----
-async function generateInterpreter(grammarText, schema, semantics) {
+async function generateInterpreter(grammarText, schema, semantics, { provider = getDefaultProvider(), signal } = {}) {
   // Check cache first
-  const cacheInput = { grammarText, schema, semantics };
+  const settings = getModelSettings('interpreter');
+  const cacheInput = requestCacheInput('interpreter', interpreterVariables(grammarText, schema, semantics), provider);
   const cached = await getCached('interpreter', cacheInput);
   if (cached) {
     return cached.output;
   }
   
-  const instructions = `
-You write a self-contained JavaScript module that INTERPRETS programs written in a DSL.
-Do NOT restate or explain anything; output ONLY code.
+  const { instructions, input } = buildInterpreterPrompt(grammarText, schema, semantics);
+  
+  log.info(`\nGenerating interpreter...`);
+  
+  checkTokenBudget('interpreter', estimateTokens(instructions, input));
+  
+  const { text: code, usage } = await collectStream(provider, { ...settings, instructions, input }, { stage: 'interpreter', echo: true, signal });
+  
 
-Input context:
-- A Lark grammar (strict subset) that defines the DSL's syntax.
-- An auto-derived AST shape description.
-- A SEMANTICS description that defines what programs should DO.
+  const fullCode = PRELUDE + '\n' + code;
+  
+  // Cache successful result
+  await saveCache('interpreter', cacheInput, fullCode, usage);
+  
+  return fullCode;
+}
 
-Requirements for your output:
-- Define ONLY an \`evaluate(ast)\` function that interprets the AST
-- DO NOT include the run function or parser setup - that's handled by the prelude
-- DO NOT try to parse or call get_parser - you only work with the AST
-- The evaluate function should handle all node types from the grammar
-- Use the node.type field to determine which rule/alias is being evaluated
-- Token nodes have { type, value } structure
-- Tree nodes have { type, children } structure
-- No eval(), no network, deterministic, side-effect free (unless SEMANTICS says otherwise).
-- Include helpful error messages for unknown node types.
+// ---- Pipeline stages ----
+// Each stage reads what it needs from ctx, loading artifacts written by an
+// earlier run from the output directory when that stage did not run now.
+const STAGE_ORDER = ['grammar', 'compile', 'schema', 'vscode', 'interpreter', 'test', 'runner'];
+
+// Stages that call the model and therefore need an API key
+const MODEL_STAGES = new Set(['grammar', 'vscode', 'interpreter', 'test']);
+
+// Whether `stage` calls the model in this run: a --grammar-file grammar is not
+// generated, and the test stage only asks for fixes when autofix or a prompt can
+function stageCallsModel(stage, args) {
+  if (!MODEL_STAGES.has(stage)) return false;
+  if (stage === 'grammar') return !args.grammar;
+  if (stage === 'test') return !args.nonInteractive || args.onTestFailure === 'autofix';
+  return true;
+}
 
-CRITICAL for handling operators:
-- Operators appear as token nodes in the children array between operands
-- Check token.type (not token.value) for operator tokens like ADD_OP, SUB_OP, MUL_OP, DIV_OP
-- Example: For "1 + 2", the sum node will have children: [operand1, ADD_OP token, operand2]
-- When processing binary operations, iterate through children finding alternating operands and operators
+async function readArtifact(ctx, name, producingStage) {
+  const file = join(ctx.outputDir, name);
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    throw new Error(`${name} not found in ${ctx.outputDir}. Run \`lang-gen ${producingStage}\` first.`);
+  }
+}
 
-Keep the code idiomatic, readable, with small helpers for walking the AST.`;
+async function ensureGrammar(ctx) {
+  if (ctx.grammarText === undefined) {
+    ctx.grammarText = await readArtifact(ctx, 'grammar.lark', 'grammar');
+    ctx.grammarFile = join(ctx.outputDir, 'grammar.lark');
+    log.info(`Using existing grammar: ${ctx.grammarFile}`);
+  }
+  return ctx.grammarText;
+}
 
-  // Add sample code if provided
-  if (GLOBAL_SAMPLE) {
-    instructions += `\n\nEXAMPLE PROGRAM TO INTERPRET:\nYour interpreter must be able to correctly handle this example:\n${GLOBAL_SAMPLE}`;
+async function ensureSchema(ctx) {
+  if (ctx.schema === undefined) {
+    ctx.schema = extractASTSchema(await ensureGrammar(ctx));
   }
+  return ctx.schema;
+}
 
-  const astNotes = {
-    node_kinds: [
-      "Tree nodes use rule or alias names as `type`",
-      "Token leaves use `{ type: TOKEN_NAME, value: '...' }`",
-      "Sequences appear as `children: [...]` in order"
-    ],
-    entry: "start",
-    rules: schema.rules,
-    tokens: schema.tokens,
-    preferred_node_types: schema.nodeTypes
-  };
+async function ensureParser(ctx) {
+  if (ctx.parserFile === undefined) {
+    await readArtifact(ctx, 'parser.cjs', 'compile');
+    ctx.parserFile = join(ctx.outputDir, 'parser.cjs');
+    log.info(`Using existing parser: ${ctx.parserFile}`);
+  }
+  return ctx.parserFile;
+}
 
-  const prompt = `
-GRAMMAR:
-<<<LARK
-${grammarText}
-LARK>>>
-
-AST NOTES (structure only):
-${JSON.stringify(astNotes, null, 2)}
-
-SEMANTICS (what the language should DO):
-<<<SEM
-${semantics}
-SEM>>>
-
-Write ONLY the evaluate function now. Output ONLY code. 
-The function signature must be: function evaluate(ast) { ... }
-DO NOT export anything - the prelude handles exports.
-DO NOT create a run function - the prelude handles that.
-Use AST node \`type\` strings from the notes above (prefer alias names if present).`;
-
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
-  console.error(`\nGenerating interpreter...`);
-  
-  const response = await client.responses.create({
-    model,
-    instructions,
-    input: prompt,
-    stream: false
-  });
+async function ensureInterpreter(ctx) {
+  if (ctx.interpreterFile === undefined) {
+    await readArtifact(ctx, 'interpreter.mjs', 'interpreter');
+    ctx.interpreterFile = join(ctx.outputDir, 'interpreter.mjs');
+    log.info(`Using existing interpreter: ${ctx.interpreterFile}`);
+  }
+  return ctx.interpreterFile;
+}
 
-  // Extract the actual output text from the response
-  const code = response.output_text || response.output || '';
-  
-  // Prelude that provides the parser integration
-  const prelude = `/* PRELUDE injected by lang-gen */
-export function makeRunner(get_parser) {
-  const parser = get_parser({ propagate_positions: true });
+async function runGrammarStage(ctx) {
+  const { grammarCandidates, concurrency, fewShot, grammar, grammarFile } = ctx.args;
+  ctx.candidateReportFile = undefined;
   
-  function treeToJSON(node) {
-    if (!node) return node;
-    // Token (has type and value, but not data)
-    if (node && node.type && 'value' in node && !('data' in node)) {
-      return { type: node.type, value: node.value };
-    }
-    // Tree (has data and children)
-    if (node && node.data && Array.isArray(node.children)) {
-      const children = node.children.map(treeToJSON).filter(x => x !== undefined);
-      return { type: node.data, children };
-    }
-    return node;
+  if (grammar) {
+    // --grammar-file: use the user's grammar instead of generating one
+    checkGrammarSyntax(grammar, grammarFile || 'Grammar', { strict: false });
+    ctx.grammarText = grammar;
+    log.info(`Using grammar from ${grammarFile || 'options'} (not generated)`);
+  } else if (grammarCandidates > 1) {
+    const reportFile = join(ctx.outputDir, 'grammar-candidates.json');
+    const { grammarText, report } = await generateGrammarCandidates(ctx.spec, ctx.samples, grammarCandidates, { provider: ctx.provider, signal: ctx.signal, concurrency, fewShot });
+    ctx.grammarText = grammarText;
+    await fs.mkdir(ctx.outputDir, { recursive: true });
+    // Written next to grammar.lark; recorded as derived from it, so `verify` flags it once the grammar changes
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    ctx.candidateReportFile = reportFile;
+    log.info(`Kept candidate ${report.chosen}; comparison in ${reportFile}`);
+  } else {
+    ctx.grammarText = await generateGrammar(ctx.spec, 3, { provider: ctx.provider, signal: ctx.signal, fewShot, samples: ctx.samples });
   }
   
-  return async function run(input) {
-    const cst = parser.parse(input);
-    const ast = treeToJSON(cst);
-    // User code below will define evaluate()
-    const result = await evaluate(ast);
-    return result;
-  }
+  ctx.grammarFile = join(ctx.outputDir, 'grammar.lark');
+  await fs.mkdir(ctx.outputDir, { recursive: true });
+  await fs.writeFile(ctx.grammarFile, ctx.grammarText, 'utf8');
 }
 
-/* USER CODE BELOW */
-`;
+async function runCompileStage(ctx) {
+  const grammarText = await ensureGrammar(ctx);
+  const { grammarFile, parserFile, larkJsVersion: version } = await compileGrammar(grammarText, ctx.outputDir, 3, { signal: ctx.signal });
+  ctx.grammarFile = grammarFile;
+  ctx.parserFile = parserFile;
+  ctx.larkJsVersion = version;
+  // A user-supplied grammar was not written for the spec, so it is no reference for it
+  if (!ctx.args.grammar) await recordGrammarOutcome(ctx.spec, grammarText, { compiled: true });
+}
+
+async function runSchemaStage(ctx) {
+  ctx.schema = extractASTSchema(await ensureGrammar(ctx));
+  const { schema } = ctx;
+  log.info(`Found ${schema.rules.length} rules, ${schema.tokens.length} tokens, ${schema.aliases.length} aliases`);
+}
 
-  const fullCode = prelude + '\n' + code;
+// Run async tasks with at most `limit` at a time. Like Promise.all, but waits
+// for all of them before rejecting, so nothing is left running in the background.
+async function inParallel(limit, tasks) {
+  const results = new Array(tasks.length);
+  let failure = null;
+  let next = 0;
   
-  // Cache successful result
-  await saveCache('interpreter', cacheInput, fullCode);
+  async function worker() {
+    while (next < tasks.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await tasks[index]();
+      } catch (error) {
+        failure ??= error;
+      }
+    }
+  }
   
-  return fullCode;
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  if (failure) throw failure;
+  return results;
 }
 
-// ---- Main execution ----
-async function main() {
-  const args = parseArgs();
-  const stdinContent = await readStdin();
-  
-  // Set defaults
-  const spec = args.spec || 'A tiny calculator (integers, + - * /, parentheses, unary minus)';
-  const semantics = args.semantics || stdinContent || 'Evaluate expressions to a number';
-  const outputDir = args.output;
+// Auto-generate IDs if not provided
+function resolveLanguageIds(args, spec) {
+  const languageId = args.languageId || spec.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 10);
+  const languageName = args.languageName || spec.split(' ').slice(0, 3).join(' ');
+  const fileExtension = args.fileExtension || languageId.slice(0, 3);
+  return { languageId, languageName, fileExtension };
+}
+
+async function runVSCodeStage(ctx) {
+  const { args, spec, semantics, outputDir } = ctx;
+  const grammarText = await ensureGrammar(ctx);
+  const { languageId, languageName, fileExtension } = resolveLanguageIds(args, spec);
+
+  // Generate timestamp for unique folder name
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const extensionsDir = join(process.cwd(), 'extensions');
+  const extensionOutputDir = join(extensionsDir, `vscode-${timestamp}`);
   
-  // Set global sample for all prompts
-  GLOBAL_SAMPLE = args.sample || '';
+  // The example program and the TextMate grammar are independent requests
+  const [exampleProgram, textMateGrammar] = await inParallel(ctx.args.concurrency, [
+    () => {
+      log.info('Generating example program...');
+      return generateExampleProgram(spec, grammarText, semantics, { provider: ctx.provider, signal: ctx.signal });
+    },
+    () => generateTextMateGrammar(grammarText, languageId, languageName, spec, getModelSettings('textmate'), ctx.provider, ctx.signal)
+  ]);
   
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY environment variable is required');
-    process.exit(1);
-  }
+  // Both requests are done, so cancelling can no longer leave a half-written extension
+  ctx.extResult = await generateVSCodeExtension({
+    grammarText,
+    languageId,
+    languageName,
+    fileExtension,
+    outputDir: extensionOutputDir,
+    description: `${languageName} language support (generated)`,
+    exampleProgram,
+    textMateGrammar,
+    interpreterPath: join(outputDir, 'interpreter.mjs'),
+    parserPath: join(outputDir, 'parser.cjs'),
+    spec
+  });
   
-  console.error('=== Language Generator ===');
-  console.error(`Spec: ${spec}`);
-  console.error(`Semantics: ${semantics}`);
-  console.error(`Cache: Read=${READ_FROM_CACHE}, Write=${WRITE_TO_CACHE}\n`);
+  log.info(`VSCode extension generated in ${ctx.extResult.extensionDir}`);
+  log.info(`  - Press F5 in VSCode to test the extension`);
+  log.info(`  - File extension: .${fileExtension}`);
+  log.info(`  - Example program: ${ctx.extResult.exampleFile}`);
+}
+
+async function runInterpreterStage(ctx) {
+  const grammarText = await ensureGrammar(ctx);
+  const schema = await ensureSchema(ctx);
+  const interpreterCode = await generateInterpreter(grammarText, schema, ctx.semantics, { provider: ctx.provider, signal: ctx.signal });
+  ctx.interpreterFile = join(ctx.outputDir, 'interpreter.mjs');
+  await fs.mkdir(ctx.outputDir, { recursive: true });
+  await fs.writeFile(ctx.interpreterFile, interpreterCode, 'utf8');
+  log.info('Interpreter generated successfully');
+}
+
+async function runTestStage(ctx) {
+  const { spec, semantics, samples } = ctx;
+  const parserFile = await ensureParser(ctx);
+  const interpreterFile = await ensureInterpreter(ctx);
+  const grammarText = await ensureGrammar(ctx);
+  const schema = await ensureSchema(ctx);
   
-  try {
-    // Step 1: Generate grammar
-    console.error('--- Step 1: Generating Grammar ---');
-    const grammarText = await generateGrammar(spec);
-    
-    // Step 2: Compile grammar
-    console.error('\n--- Step 2: Compiling Grammar ---');
-    const { grammarFile, parserFile } = await compileGrammar(grammarText, outputDir);
-    
-    // Step 3: Extract schema
-    console.error('\n--- Step 3: Extracting AST Schema ---');
-    const schema = extractASTSchema(grammarText);
-    console.error(`Found ${schema.rules.length} rules, ${schema.tokens.length} tokens, ${schema.aliases.length} aliases`);
-    
-    // Generate VSCode extension if requested (before interpreter so we can generate example code early)
-    let extResult;
-    if (args.vscode) {
-      console.error('\n--- Step 4: Generating VSCode Extension ---');
-      
-      // Auto-generate IDs if not provided
-      const languageId = args.languageId || spec.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 10);
-      const languageName = args.languageName || spec.split(' ').slice(0, 3).join(' ');
-      const fileExtension = args.fileExtension || languageId.slice(0, 3);
-      
-      // Generate timestamp for unique folder name
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      const extensionsDir = join(process.cwd(), 'extensions');
-      const extensionOutputDir = join(extensionsDir, `vscode-${timestamp}`);
-      
-      // Generate example program
-      console.error('Generating example program...');
-      const exampleProgram = await generateExampleProgram(spec, grammarText, semantics);
-      
-      extResult = await generateVSCodeExtension({
+  // Always test even if no sample provided to ensure the code works
+  const testSamples = samples.length > 0 ? samples : ['1+2*3;'];  // Default simple test
+  const { nonInteractive, onTestFailure } = ctx.args;
+  // In non-interactive mode --max-autofix is a budget shared by all samples
+  let autofixBudget = ctx.args.maxAutofix;
+  ctx.testResults = [];
+  for (const testSample of testSamples) {
+    let testResult;
+    try {
+      testResult = await testGeneratedCode(
+        parserFile,
+        interpreterFile,
+        testSample,
+        spec,
         grammarText,
-        languageId,
-        languageName,
-        fileExtension,
-        outputDir: extensionOutputDir,
-        description: `${languageName} language support (generated)`,
-        exampleProgram,
-        interpreterPath: join(outputDir, 'interpreter.mjs'),
-        parserPath: join(outputDir, 'parser.cjs'),
-        spec
-      });
-      
-      console.error(`VSCode extension generated in ${extResult.extensionDir}`);
-      console.error(`  - Press F5 in VSCode to test the extension`);
-      console.error(`  - File extension: .${fileExtension}`);
-      console.error(`  - Example program: ${extResult.exampleFile}`);
+        schema,
+        semantics,
+        nonInteractive ? autofixBudget : ctx.args.maxAutofix,
+        { nonInteractive, onTestFailure, provider: ctx.provider, signal: ctx.signal }
+      );
+    } catch (error) {
+      // Aborting (the "fail" policy, or at the prompt) still reports the failing sample
+      if (error.testError === undefined) throw error;
+      ctx.testResults.push({ success: false, error: error.testError });
+      emitEvent('test.result', { stage: 'test', sample: testSample, success: false, error: error.testError, fixAttempts: 0 });
+      if (samples.length > 0) await recordGrammarOutcome(spec, grammarText, { testsPassed: false });
+      throw error;
     }
+    ctx.testResults.push(testResult);
+    emitEvent('test.result', {
+      stage: 'test',
+      sample: testSample,
+      success: testResult.success,
+      ...(testResult.success ? { result: testResult.result } : { error: testResult.error }),
+      fixAttempts: testResult.fixAttempts || 0
+    });
+    autofixBudget -= testResult.fixAttempts || 0;
     
-    // Step 5: Generate interpreter
-    console.error('\n--- Step 5: Generating Interpreter ---');
-    const interpreterCode = await generateInterpreter(grammarText, schema, semantics);
-    const interpreterFile = join(outputDir, 'interpreter.mjs');
-    await fs.writeFile(interpreterFile, interpreterCode, 'utf8');
-    console.error('Interpreter generated successfully');
-    
-    // Step 6: Test generated code with a default sample
-    // Always test even if no sample provided to ensure the code works
-    const testSample = args.sample || '1+2*3;';  // Default simple test
-    console.error('\n--- Step 6: Testing Generated Code ---');
-    const testResult = await testGeneratedCode(
-      parserFile,
-      interpreterFile,
-      testSample,
-      spec,
-      grammarText,
-      schema,
-      semantics
-    );
+    // In CI only an explicit "continue" policy lets a failing test through
+    if (!testResult.success && nonInteractive && onTestFailure !== 'continue') {
+      if (samples.length > 0) await recordGrammarOutcome(spec, grammarText, { testsPassed: false });
+      throw testFailureError(testResult.error);
+    }
     
     if (!testResult.success) {
       if (testResult.continued) {
-        console.error(`\n⚠️  Warning: Generated code failed testing but continuing as requested.`);
-        console.error(`Error was: ${testResult.error}`);
-        console.error('The generated files will need manual fixes.');
+        log.warn(`\n⚠️  Warning: Generated code failed testing but continuing as requested.`);
+        log.info(`Error was: ${testResult.error}`);
+        log.info('The generated files will need manual fixes.');
       } else {
-        console.error(`\n⚠️  Warning: Generated code failed testing with error: ${testResult.error}`);
-        console.error('The generated files may need manual fixes.');
+        log.warn(`\n⚠️  Warning: Generated code failed testing with error: ${testResult.error}`);
+        log.info('The generated files may need manual fixes.');
       }
     } else {
-      console.error(`\n✓ Test passed! Result: ${JSON.stringify(testResult.result)}`);
+      log.info(`\n✓ Test passed! Result: ${JSON.stringify(testResult.result)}`);
     }
-    
-    // Generate standalone CLI runner
-    console.error('\n--- Generating CLI Runner ---');
-    const runnerFile = join(outputDir, 'run.mjs');
-    const runnerCode = `#!/usr/bin/env node
-// Standalone CLI runner for ${spec}
-// Usage: ./run.mjs "code" or ./run.mjs file.${args.fileExtension || 'txt'}
+  }
+  
+  // Only real samples say anything about the grammar (the default one is a calculator expression)
+  if (samples.length > 0) {
+    await recordGrammarOutcome(spec, grammarText, { testsPassed: ctx.testResults.every(result => result.success) });
+  }
+}
+
+async function runRunnerStage(ctx) {
+  const runnerFile = join(ctx.outputDir, 'run.mjs');
+  const runnerCode = `#!/usr/bin/env node
+// Standalone CLI runner for ${ctx.spec}
+// Usage: ./run.mjs "code" or ./run.mjs file.${ctx.args.fileExtension || 'txt'}
 
 import { createRequire } from 'module';
 import { readFileSync, existsSync } from 'fs';
@@ -1356,30 +1845,822 @@ try {
   process.exit(1);
 }
 `;
+  
+  await fs.mkdir(ctx.outputDir, { recursive: true });
+  await fs.writeFile(runnerFile, runnerCode, 'utf8');
+  await fs.chmod(runnerFile, 0o755);
+  ctx.runnerFile = runnerFile;
+  log.info(`CLI runner generated: ${runnerFile}`);
+}
+
+// `needs` lists the stages that must finish first (the others may run side by
+// side), `uses` the inputs recorded in the manifest, `prompts` the prompts the
+// stage may send, `writes` the files in the output directory restored if it is
+// cancelled, and `artifacts` the files it wrote (with the files they derive from).
+const STAGES = {
+  grammar: {
+    title: 'Generating Grammar',
+    needs: [],
+    run: runGrammarStage,
+    exitCode: EXIT_CODES.GRAMMAR,
+    uses: ['spec', 'samples'],
+    prompts: ['grammar'],
+    writes: ['grammar.lark', 'grammar-candidates.json'],
+    artifacts: ctx => [{ file: ctx.grammarFile }, ...(ctx.candidateReportFile ? [{ file: ctx.candidateReportFile, inputs: ['grammar.lark'] }] : [])]
+  },
+  compile: {
+    title: 'Compiling Grammar',
+    needs: ['grammar'],
+    run: runCompileStage,
+    exitCode: EXIT_CODES.COMPILE,
+    uses: [],
+    prompts: [],
+    writes: ['grammar.lark', 'parser.cjs'],
+    artifacts: ctx => [{ file: ctx.grammarFile }, { file: ctx.parserFile, inputs: ['grammar.lark'] }]
+  },
+  schema: {
+    title: 'Extracting AST Schema',
+    needs: ['compile'],
+    run: runSchemaStage,
+    uses: [],
+    prompts: [],
+    artifacts: () => []
+  },
+  vscode: {
+    title: 'Generating VSCode Extension',
+    needs: ['schema'],
+    run: runVSCodeStage,
+    uses: ['spec', 'semantics', 'samples'],
+    prompts: ['example', 'textmate'],
+    artifacts: ctx => [ctx.extResult.exampleFile, ...Object.values(ctx.extResult.files)]
+      .filter(Boolean)
+      .map(file => ({ file, inputs: ['grammar.lark'] }))
+  },
+  interpreter: {
+    title: 'Generating Interpreter',
+    needs: ['schema'],
+    run: runInterpreterStage,
+    uses: ['semantics', 'samples'],
+    prompts: ['interpreter'],
+    writes: ['interpreter.mjs'],
+    artifacts: ctx => [{ file: ctx.interpreterFile, inputs: ['grammar.lark'] }]
+  },
+  test: {
+    title: 'Testing Generated Code',
+    // After vscode too, so interactive fix prompts are not mixed with its output
+    needs: ['compile', 'interpreter', 'vscode'],
+    run: runTestStage,
+    exitCode: EXIT_CODES.TEST,
+    uses: ['samples'],
+    prompts: ['interpreterFix'],
+    writes: ['interpreter.mjs'],
+    artifacts: ctx => [{ file: ctx.interpreterFile, inputs: ['grammar.lark'] }]
+  },
+  runner: {
+    title: 'Generating CLI Runner',
+    needs: ['test'],
+    run: runRunnerStage,
+    uses: [],
+    prompts: [],
+    writes: ['run.mjs'],
+    artifacts: ctx => [{ file: ctx.runnerFile }]
+  }
+};
+
+const COMMANDS = [...STAGE_ORDER, 'verify', 'cache'];
+const CACHE_ACTIONS = ['list', 'show', 'stats', 'prune', 'clear', 'pin', 'unpin', 'export', 'import'];
+
+// Update the manifest after a stage finished successfully
+async function recordStageInManifest(manifest, name, stage, ctx, startedAt) {
+  const record = { startedAt, finishedAt: new Date().toISOString() };
+  
+  for (const field of stage.uses) {
+    record[field] = ctx[field];
+    manifest[field] = ctx[field];
+  }
+  for (const prompt of stage.prompts) {
+    manifest.models[prompt] = getModelSettings(prompt);
+    manifest.promptVersions[prompt] = promptVersion(prompt);
+  }
+  if (name === 'compile') {
+    // A cached parser knows its lark-js version even where lark-js is not installed
+    manifest.larkJsVersion = ctx.larkJsVersion ?? await getLarkJsVersion();
+  }
+  manifest.stages[name] = record;
+  
+  for (const { file, inputs } of stage.artifacts(ctx)) {
+    await recordArtifact(manifest, ctx.outputDir, file, { stage: name, inputs });
+  }
+}
+
+async function runVerify(outputDir) {
+  let report;
+  try {
+    report = await verifyManifest(outputDir);
+  } catch (error) {
+    log.error(`Error: ${error.message}`);
+    return EXIT_CODES.VERIFY;
+  }
+  
+  const { manifest, issues } = report;
+  const names = Object.keys(manifest.artifacts);
+  log.info(`Verifying ${names.length} artifacts in ${outputDir} against ${MANIFEST_FILE}`);
+  
+  for (const name of names) {
+    const fileIssues = issues.filter(issue => issue.file === name);
+    if (fileIssues.length === 0) {
+      log.info(`  ✓ ${name}`);
+    }
+    for (const issue of fileIssues) {
+      log.error(`  ✗ ${name}: ${issue.status} (${issue.detail})`);
+    }
+  }
+  
+  emitEvent('verify.result', { outputDir, success: issues.length === 0, issues });
+  
+  if (issues.length > 0) {
+    log.info(`\n${issues.length} problem(s) found`);
+    return EXIT_CODES.VERIFY;
+  }
+  log.info('\n✓ All artifacts match the manifest');
+  return EXIT_CODES.SUCCESS;
+}
+
+// ---- Cache command (lang-gen cache ...) ----
+function groupBy(items, keyOf) {
+  const groups = {};
+  for (const item of items) (groups[keyOf(item)] ??= []).push(item);
+  return groups;
+}
+
+async function runCacheCommand(args) {
+  const { cacheAction: action, cacheTarget, cacheStage: stage, includePinned, pinnedOnly, onConflict } = args;
+  const olderThan = parseDuration(args.olderThan);
+  const now = Date.now();
+  
+  try {
+    configureCache({ ttl: args.cacheTtl, maxSize: args.cacheMaxSize });
+    
+    if (action === 'list') {
+      const items = await listCacheEntries({ stage, olderThan, now });
+      log.info(`${'STAGE'.padEnd(12)} ${'KEY'.padEnd(12)} ${'AGE'.padStart(5)} ${'SIZE'.padStart(9)}  PIN  SPEC`);
+      for (const item of items) {
+        log.info(`${item.stage.padEnd(12)} ${item.key.slice(0, 12)} ${formatAge(now - item.createdAt).padStart(5)} ${formatBytes(item.size).padStart(9)}  ${item.pinned ? ' * ' : '   '}  ${item.stale ? '(stale) ' : ''}${describeCacheEntry(item)}`);
+      }
+      log.info(`\n${items.length} entr${items.length === 1 ? 'y' : 'ies'}, ${formatBytes(items.reduce((bytes, item) => bytes + item.size, 0))} in ${CACHE_DIR}`);
+    } else if (action === 'show') {
+      const { stage: entryStage, key, size, createdAt, pinned, stale, entry } = await findCacheEntry(cacheTarget);
+      if (!entry) throw new Error(`Cache entry ${key} is unreadable`);
+      const { variables, model, prompt, provider, grammarText, ...options } = entry.input || {};
+      log.info(`Stage:    ${entryStage}`);
+      log.info(`Key:      ${key}`);
+      log.info(`Created:  ${entry.timestamp} (${formatAge(now - createdAt)} ago)`);
+      log.info(`Size:     ${formatBytes(size)}${pinned ? ', pinned' : ''}${stale ? `, stale (cache schema ${entry.schemaVersion ?? 1})` : ''}`);
+      if (model) log.info(`Model:    ${formatModelSettings(model)} via ${provider ?? 'unknown provider'}, prompt version ${prompt}`);
+      if (Object.keys(options).length > 0) log.info(`Options:  ${JSON.stringify(options)}`);
+      if (entry.usage) log.info(`Usage:    ${entry.usage.inputTokens} input + ${entry.usage.outputTokens} output tokens`);
+      for (const [name, value] of Object.entries({ ...variables, ...(grammarText ? { grammarText } : {}) })) {
+        log.info(`\n--- ${name} ---\n${value}`);
+      }
+      // Parser entries hold { parser, stderr }
+      const outputs = typeof entry.output === 'string' ? { output: entry.output } : entry.output;
+      for (const [name, value] of Object.entries(outputs || {})) {
+        log.info(`\n--- ${name} ---\n${value}`);
+      }
+    } else if (action === 'stats') {
+      const items = await listCacheEntries({ now });
+      const { ttlMs, maxBytes } = getCacheLimits();
+      const byStage = groupBy(items, item => item.stage);
+      log.info(`Cache: ${CACHE_DIR}`);
+      log.info(`Limits: TTL ${ttlMs ? formatAge(ttlMs) : 'none'}, max size ${maxBytes ? formatBytes(maxBytes) : 'none'}\n`);
+      for (const [name, group] of Object.entries(byStage)) {
+        const pinned = group.filter(item => item.pinned).length;
+        const stale = group.filter(item => item.stale).length;
+        log.info(`${name.padEnd(12)} ${String(group.length).padStart(5)} entries ${formatBytes(group.reduce((bytes, item) => bytes + item.size, 0)).padStart(9)}` +
+          `${pinned ? `, ${pinned} pinned` : ''}${stale ? `, ${stale} stale` : ''}`);
+      }
+      const total = items.reduce((bytes, item) => bytes + item.size, 0);
+      log.info(`${'total'.padEnd(12)} ${String(items.length).padStart(5)} entries ${formatBytes(total).padStart(9)}`);
+      if (items.length > 0) {
+        const tokens = items.reduce((sum, item) => sum + (item.entry?.usage?.inputTokens || 0) + (item.entry?.usage?.outputTokens || 0), 0);
+        log.info(`\nOldest entry ${formatAge(now - items[0].createdAt)} old, newest ${formatAge(now - items[items.length - 1].createdAt)} old`);
+        log.info(`Generating these entries took ${tokens} tokens`);
+      }
+    } else if (action === 'prune') {
+      const removed = await pruneCache({ stage, olderThan, removeStale: true, now });
+      const reasons = Object.entries(groupBy(removed, item => item.reason)).map(([reason, group]) => `${group.length} ${reason}`);
+      log.info(`Removed ${removed.length} entr${removed.length === 1 ? 'y' : 'ies'} (${formatBytes(removed.reduce((bytes, item) => bytes + item.size, 0))})${reasons.length > 0 ? `: ${reasons.join(', ')}` : ''}`);
+    } else if (action === 'clear') {
+      const items = await listCacheEntries({ stage, olderThan, now });
+      const removable = items.filter(item => includePinned || !item.pinned);
+      const bytes = await removeCacheEntries(removable);
+      const kept = items.length - removable.length;
+      log.info(`Removed ${removable.length} entr${removable.length === 1 ? 'y' : 'ies'} (${formatBytes(bytes)})${kept > 0 ? `; kept ${kept} pinned (use --include-pinned to remove them)` : ''}`);
+    } else if (action === 'pin' || action === 'unpin') {
+      const item = await findCacheEntry(cacheTarget);
+      if (item.stale) throw new Error(`Cache entry ${item.key.slice(0, 12)} is stale and would never be used; remove it with \`lang-gen cache prune\``);
+      await setCacheEntryPinned(item, action === 'pin');
+      log.info(`${action === 'pin' ? 'Pinned' : 'Unpinned'} ${item.stage} entry ${item.key.slice(0, 12)}`);
+    } else if (action === 'export') {
+      const { count, bytes } = await exportCacheBundle(cacheTarget, { stage, olderThan, pinnedOnly });
+      log.info(`Exported ${count} entr${count === 1 ? 'y' : 'ies'} (${formatBytes(bytes)}) to ${cacheTarget}`);
+    } else if (action === 'import') {
+      const result = await importCacheBundle(cacheTarget, { onConflict });
+      const counts = ['added', 'replaced', 'unchanged', 'kept', 'skipped'].filter(name => result[name].length > 0).map(name => `${result[name].length} ${name}`);
+      log.info(`Imported ${cacheTarget}: ${counts.join(', ') || 'no entries'}`);
+      for (const { stage: entryStage, key } of result.kept) {
+        log.warn(`  conflict: kept the local ${entryStage} entry ${key.slice(0, 12)} (--on-conflict replace takes the bundle's)`);
+      }
+      for (const { stage: entryStage, key } of result.replaced) {
+        log.info(`  conflict: replaced the local ${entryStage} entry ${key.slice(0, 12)}`);
+      }
+      if (result.skipped.length > 0) {
+        log.warn(`  ${result.skipped.length} entr${result.skipped.length === 1 ? 'y is' : 'ies are'} from another cache schema and were skipped`);
+      }
+    }
+  } catch (error) {
+    log.error(`Error: ${error.message}`);
+    return error.code === 'CACHE_ENTRY_NOT_FOUND' ? EXIT_CODES.USAGE : EXIT_CODES.ERROR;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+// Contents of the files a stage may overwrite, so a cancelled stage can be rolled back
+async function snapshotFiles(outputDir, names) {
+  return Promise.all(names.map(async (name) => {
+    const file = join(outputDir, name);
+    return { file, content: await fs.readFile(file).catch(() => null) };
+  }));
+}
+
+async function restoreFiles(snapshot) {
+  for (const { file, content } of snapshot) {
+    if (content === null) {
+      await fs.rm(file, { force: true });
+    } else {
+      await fs.writeFile(file, content);
+    }
+  }
+}
+
+// Which stages each stage waits for: its `needs` that are part of this run, and
+// for those that are not, what they in turn need. Stages without `needs`
+// (custom steps) act as barriers, running alone in order.
+function stageDependencies(stages, definitions) {
+  const neededInRun = (needs) => needs.flatMap(need =>
+    stages.includes(need) ? [need] : neededInRun(definitions[need]?.needs || []));
+  
+  const deps = new Map();
+  let barrier = null;
+  for (const [i, name] of stages.entries()) {
+    const { needs } = definitions[name];
+    if (needs) {
+      deps.set(name, [...new Set(neededInRun(needs)), ...(barrier ? [barrier] : [])]);
+    } else {
+      deps.set(name, stages.slice(0, i));
+      barrier = name;
+    }
+  }
+  return deps;
+}
+
+// Run stages, reporting progress and updating the manifest after each one.
+// Every stage whose dependencies are done starts, at most `concurrency` at a time.
+// After a failure no new stages start; the first error is rethrown with
+// error.stage set once the running ones have finished.
+async function runStages(ctx, stages, manifest, { numbered = true, definitions = STAGES, beforeStage, afterStage, concurrency = 1 } = {}) {
+  for (const name of stages) {
+    if (!definitions[name]) {
+      throw new Error(`Unknown stage: ${name}`);
+    }
+  }
+  
+  // Stages finishing together must not write the manifest at the same time
+  let manifestWrite = Promise.resolve();
+  const recordStage = (name, stage, startedAt) => (manifestWrite = manifestWrite.catch(() => {}).then(async () => {
+    await recordStageInManifest(manifest, name, stage, ctx, startedAt);
+    await writeManifest(ctx.outputDir, manifest);
+  }));
+  
+  const deps = stageDependencies(stages, definitions);
+  const pending = [...stages];
+  const done = new Set();
+  const running = new Map();
+  let failure = null;
+  
+  for (;;) {
+    if (!failure) {
+      const ready = pending.filter(name => deps.get(name).every(dep => done.has(dep)));
+      const starting = ready.slice(0, Math.max(concurrency - running.size, 0));
+      // Label output when stages run side by side
+      const labelled = running.size + starting.length > 1;
+      for (const name of starting) {
+        pending.splice(pending.indexOf(name), 1);
+        const index = stages.indexOf(name);
+        const task = runStage(ctx, name, definitions[name], { index, numbered, labelled, beforeStage, afterStage, recordStage })
+          .then(() => done.add(name), (error) => { failure ??= error; })
+          .finally(() => running.delete(name));
+        running.set(name, task);
+      }
+    }
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+  
+  if (failure) throw failure;
+}
+
+async function runStage(ctx, name, stage, { index, numbered, labelled, beforeStage, afterStage, recordStage }) {
+  const logger = labelled ? labelledLogger(getLogger(), name) : getLogger();
+  await withLogger(logger, async () => {
+    if (ctx.signal?.aborted) {
+      throw abortError();
+    }
+    
+    log.info(`${index > 0 ? '\n' : ''}--- ${numbered ? `Step ${index + 1}: ` : ''}${stage.title} ---`);
+    emitEvent('stage.started', { stage: name });
+    const stageStart = Date.now();
+    const snapshot = await snapshotFiles(ctx.outputDir, stage.writes || []);
+    try {
+      if (beforeStage) await beforeStage({ stage: name, ctx });
+      await stage.run(ctx);
+    } catch (error) {
+      if (isAbortError(error) && snapshot.length > 0) {
+        await restoreFiles(snapshot);
+        log.warn(`Cancelled during ${name}; restored ${snapshot.map(({ file }) => basename(file)).join(', ')} in ${ctx.outputDir}`);
+      }
+      error.stage = name;
+      emitEvent('stage.failed', { stage: name, error: error.message });
+      throw error;
+    } finally {
+      logger.flush?.();
+    }
+    const durationMs = Date.now() - stageStart;
+    emitEvent('stage.finished', { stage: name, durationMs });
+    await recordStage(name, stage, new Date(stageStart).toISOString());
+    if (afterStage) await afterStage({ stage: name, ctx, durationMs });
+  });
+}
+
+function exitCodeFor(error) {
+  if (error.code === 'TOKEN_BUDGET_EXCEEDED') return EXIT_CODES.BUDGET;
+  if (isAbortError(error)) return EXIT_CODES.INTERRUPTED;
+  if (error.code === 'PROMPT_INVALID') return EXIT_CODES.USAGE;
+  return error.exitCode ?? STAGES[error.stage]?.exitCode ?? EXIT_CODES.ERROR;
+}
+
+// ---- Plan (--plan) ----
+// Works out what a run would do without calling the API or writing anything:
+// which requests hit the cache, which go to the model, and how big they are.
+
+// Rough size of a request (see estimateTokens)
+function promptSize({ instructions, input }, extra = '') {
+  return {
+    chars: instructions.length + input.length + extra.length,
+    approxTokens: estimateTokens(instructions, input, extra)
+  };
+}
+
+// `cacheInput` is null for requests that are never cached
+async function planRequest(type, cacheInput, prompt, extra) {
+  const { key, entry } = cacheInput ? await peekCache(type, cacheInput) : { key: null, entry: null };
+  return {
+    type,
+    key,
+    cached: Boolean(entry),
+    model: formatModelSettings(getModelSettings(type)),
+    ...promptSize(prompt, extra),
+    output: entry?.output
+  };
+}
+
+async function planStages(ctx, stages, definitions) {
+  const { args, spec, semantics, outputDir } = ctx;
+
+  // The grammar later stages would see: the cached one when the grammar stage
+  // runs, otherwise grammar.lark from the output directory
+  let grammarText = null;
+  let grammarNote = '';
+  if (!stages.includes('grammar')) {
+    grammarText = await fs.readFile(join(outputDir, 'grammar.lark'), 'utf8').catch(() => null);
+    if (grammarText === null) grammarNote = `needs grammar.lark in ${outputDir}`;
+  }
+
+  const plan = [];
+  for (const name of stages) {
+    const entry = { stage: name, requests: [], note: '' };
+
+    if (name === 'grammar' && args.grammar) {
+      entry.note = `grammar from ${args.grammarFile || 'options'}, not generated`;
+      grammarText = args.grammar;
+    } else if (name === 'grammar') {
+      const references = args.fewShot ? await findReferenceGrammars(spec) : [];
+      const prompt = buildGrammarPrompt(spec, [], references);
+      const request = await planRequest('grammar', grammarCacheInput(spec, ctx.provider, 0, args.fewShot), prompt, LARK_SUBSET_STRICT);
+      entry.requests.push(request);
+      for (let candidate = 1; candidate < args.grammarCandidates; candidate++) {
+        entry.requests.push(await planRequest('grammar', grammarCacheInput(spec, ctx.provider, candidate, args.fewShot), prompt, LARK_SUBSET_STRICT));
+      }
+      if (args.grammarCandidates > 1) {
+        entry.note = `best of ${args.grammarCandidates} candidates, compiled and scored locally`;
+        grammarNote = 'prompt depends on which grammar candidate wins';
+      } else if (request.cached) {
+        grammarText = request.output;
+      } else {
+        grammarNote = 'prompt depends on the generated grammar';
+      }
+    } else if ((name === 'vscode' || name === 'interpreter') && grammarText === null) {
+      entry.note = grammarNote;
+    } else if (name === 'vscode') {
+      const { languageId, languageName } = resolveLanguageIds(args, spec);
+      entry.requests.push(
+        await planRequest('example', requestCacheInput('example', exampleVariables(spec, grammarText, semantics), ctx.provider), buildExamplePrompt(spec, grammarText, semantics)),
+        await planRequest('textmate', null, buildTextMatePrompt(grammarText, languageId, languageName, spec))
+      );
+    } else if (name === 'interpreter') {
+      const schema = extractASTSchema(grammarText);
+      entry.requests.push(
+        await planRequest('interpreter', requestCacheInput('interpreter', interpreterVariables(grammarText, schema, semantics), ctx.provider), buildInterpreterPrompt(grammarText, schema, semantics))
+      );
+    } else if (name === 'test') {
+      entry.note = 'runs locally; calls the API only to fix a failing sample';
+    } else if (STAGES[name]) {
+      entry.note = 'runs locally';
+    } else {
+      entry.note = `custom step "${definitions[name].title}" (not planned)`;
+    }
+
+    for (const request of entry.requests) delete request.output;
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+function printPlan(plan, outputDir) {
+  console.log(`Plan (output: ${outputDir}, cache reads: ${READ_FROM_CACHE ? 'on' : 'off'})\n`);
+
+  let apiCalls = 0;
+  let approxTokens = 0;
+  for (const { stage, requests, note } of plan) {
+    console.log(`${stage}${note ? `: ${note}` : ''}`);
+    for (const request of requests) {
+      const status = request.cached ? 'cached  ' : 'API call';
+      const key = request.key ? `key ${request.key.slice(0, 12)}` : 'not cached';
+      console.log(`  ${request.type.padEnd(12)} ${status}  ${request.model.padEnd(10)} ~${request.approxTokens} tokens (${request.chars} chars)  ${key}`);
+      if (!request.cached) {
+        apiCalls++;
+        approxTokens += request.approxTokens;
+      }
+    }
+  }
+
+  console.log(`\n${apiCalls} API call(s), ~${approxTokens} prompt tokens (not counting retries or stages whose prompt is not known yet)`);
+}
+
+// ---- Pipeline API ----
+// Runs the same stages as the CLI in-process:
+//
+//   const pipeline = createPipeline({
+//     spec: 'tiny calc', semantics: 'evaluate to a number', samples: ['1+2'], output: './out',
+//     logger: myLogger,                                   // { info, warn, error, write }
+//     beforeStage: async ({ stage, ctx }) => {},
+//     afterStage: async ({ stage, ctx, durationMs }) => {},
+//     steps: [{ name: 'lint', after: 'schema', run: async (ctx) => {} }],
+//     signal: controller.signal                           // AbortSignal to cancel the run
+//   });
+//   const result = await pipeline.run();
+//
+// Options are the same as the config file (flattened like parseArgs()).
+// Prompts are off by default; test failures follow onTestFailure.
+function createPipeline(options = {}) {
+  const { logger = consoleLogger, provider, signal, beforeStage, afterStage, steps = [], ...rest } = options;
+  const args = validateOptions({ ...DEFAULT_OPTIONS, nonInteractive: true, ...rest });
+  
+  // Run a single stage for subcommands, otherwise the whole pipeline.
+  // The VSCode extension runs before the interpreter so we can generate example code early.
+  const definitions = { ...STAGES };
+  const stages = args.command
+    ? [args.command]
+    : STAGE_ORDER.filter(name => name !== 'vscode' || args.vscode);
+  
+  // Splice custom steps in after the stage they name (or at the end)
+  for (const step of steps) {
+    if (!step.name || typeof step.run !== 'function') {
+      throw new Error('Custom steps need a name and a run(ctx) function');
+    }
+    if (definitions[step.name]) {
+      throw new Error(`Custom step "${step.name}" clashes with an existing stage`);
+    }
+    definitions[step.name] = {
+      title: step.title || step.name,
+      run: step.run,
+      uses: [],
+      prompts: [],
+      writes: [],
+      artifacts: step.artifacts || (() => [])
+    };
+    const index = step.after ? stages.indexOf(step.after) : stages.length - 1;
+    if (index === -1) {
+      throw new Error(`Custom step "${step.name}" runs after unknown stage "${step.after}"`);
+    }
+    stages.splice(index + 1, 0, step.name);
+  }
+  
+  const ctx = {
+    args,
+    spec: args.spec,
+    semantics: args.semantics,
+    samples: args.samples,
+    outputDir: args.output,
+    provider: provider || createProvider(args),
+    signal
+  };
+  
+  // What a run configures (samples and models for the prompts, prompt overrides,
+  // cache limits, token usage) is scoped to the call in one run context (see
+  // run-context.js), not kept in module state, so pipelines running side by side
+  // or one after another never see each other's.
+  // Re-read on every call, as watch mode changes ctx between runs.
+  async function inRunScope(fn) {
+    const overrides = await readPromptOverrides(ctx.args.promptsDir);
+    return withRunContext({
+      sample: formatSamples(ctx.samples),
+      models: resolveModelSettings(ctx.args),
+      overrides,
+      limits: cacheLimits({ ttl: ctx.args.cacheTtl, maxSize: ctx.args.cacheMaxSize }),
+      usage: createUsageTracker({ budget: ctx.args.maxTokensBudget })
+    }, () => fn(Object.keys(overrides)));
+  }
+  
+  async function run(stageNames = stages) {
+    return withLogger(logger, () => inRunScope(async (overridden) => {
+      if (overridden.length > 0) {
+        log.info(`Prompt templates from ${ctx.args.promptsDir}: ${overridden.join(', ')}\n`);
+      }
+      
+      // Collect cache keys for the manifest ('example' belongs to the vscode stage)
+      const manifest = await openManifest(ctx.outputDir);
+      const collectCacheKeys = (event) => {
+        if (event.type === 'cache.hit' || event.type === 'cache.write') {
+          manifest.cacheKeys[event.stage] = event.key;
+        }
+      };
+      
+      return withEventListener(collectCacheKeys, () => runInScope(stageNames, manifest));
+    }));
+  }
+  
+  async function runInScope(stageNames, manifest) {
+    emitEvent('run.started', { command: ctx.args.command || 'all', stages: stageNames, outputDir: ctx.outputDir });
+    
+    try {
+      await runStages(ctx, stageNames, manifest, {
+        numbered: !ctx.args.command,
+        definitions,
+        concurrency: ctx.args.concurrency,
+        beforeStage,
+        afterStage
+      });
+      emitEvent('run.finished', { success: true, exitCode: EXIT_CODES.SUCCESS });
+      return await buildResult(ctx, manifest, true);
+    } catch (error) {
+      emitEvent('run.finished', { success: false, exitCode: exitCodeFor(error) });
+      error.result = await buildResult(ctx, manifest, false);
+      throw error;
+    }
+  }
+  
+  // Preview the run without calling the API or writing files
+  async function plan(stageNames = stages) {
+    return inRunScope(() => planStages(ctx, stageNames, definitions));
+  }
+  
+  return { stages, context: ctx, run, plan };
+}
+
+async function buildResult(ctx, manifest, success) {
+  const interpreterCode = ctx.interpreterFile
+    ? await fs.readFile(ctx.interpreterFile, 'utf8').catch(() => null)
+    : null;
+  
+  return {
+    success,
+    outputDir: ctx.outputDir,
+    grammarText: ctx.grammarText ?? null,
+    grammarFile: ctx.grammarFile ?? null,
+    parserFile: ctx.parserFile ?? null,
+    schema: ctx.schema ?? null,
+    interpreterFile: ctx.interpreterFile ?? null,
+    interpreterCode,
+    runnerFile: ctx.runnerFile ?? null,
+    extension: ctx.extResult ?? null,
+    testResults: ctx.testResults ?? [],
+    models: resolveModelSettings(ctx.args),
+    usage: getUsageSummary(),
+    manifest
+  };
+}
+
+// ---- Watch mode ----
+// Which stages to re-run for each kind of change. A new spec or new samples
+// change the grammar prompt, so everything is regenerated.
+const WATCH_DOWNSTREAM = {
+  spec: STAGE_ORDER,
+  samples: STAGE_ORDER,
+  semantics: ['interpreter', 'test'],
+  grammar: ['compile', 'schema', 'test'],
+  grammarFile: ['grammar', 'compile', 'schema', 'test']
+};
+
+async function watchAndRegenerate(cliArgs, stdinContent, pipeline, signal) {
+  const ctx = pipeline.context;
+  const grammarFile = resolvePath(ctx.outputDir, 'grammar.lark');
+  const inputFiles = [ctx.args.configPath, ctx.args.specFile, ctx.args.grammarFile, ctx.args.semanticsFile, ...ctx.args.sampleFiles]
+    .filter(Boolean)
+    .map(file => resolvePath(file));
+  const files = [...inputFiles, grammarFile];
+  
+  await fs.mkdir(ctx.outputDir, { recursive: true });
+  
+  let running = false;
+  const queued = [];
+  
+  async function handleChanges(changed) {
+    const reasons = new Set();
+    
+    if (changed.includes(grammarFile)) {
+      // Ignore our own writes: only react when the content differs from what we generated
+      const grammarText = await fs.readFile(grammarFile, 'utf8').catch(() => null);
+      if (grammarText !== null && grammarText !== ctx.grammarText) {
+        reasons.add('grammar');
+      }
+    }
     
-    await fs.writeFile(runnerFile, runnerCode, 'utf8');
-    await fs.chmod(runnerFile, 0o755);
-    console.error(`CLI runner generated: ${runnerFile}`);
+    if (changed.some(file => inputFiles.includes(file))) {
+      let args;
+      try {
+        args = await resolveOptions(cliArgs, stdinContent);
+      } catch (error) {
+        log.error(`\n[ERROR] ${error.message}`);
+        return false;
+      }
+      if (args.spec !== ctx.spec) reasons.add('spec');
+      if (args.grammar !== ctx.args.grammar) reasons.add('grammarFile');
+      if (JSON.stringify(args.samples) !== JSON.stringify(ctx.samples)) reasons.add('samples');
+      if (args.semantics !== ctx.semantics) reasons.add('semantics');
+      
+      Object.assign(ctx, { args, spec: args.spec, semantics: args.semantics, samples: args.samples });
+    }
     
-    console.error(`\n✓ Generated files in ${outputDir}:`);
-    console.error(`  - grammar.lark`);
-    console.error(`  - parser.cjs`);
-    console.error(`  - interpreter.mjs`);
-    console.error(`  - run.mjs (CLI runner)`);
-    if (args.vscode) {
-      console.error(`  - ${extResult.extensionDir}/`);
+    if (reasons.size === 0) return false;
+    
+    const affected = new Set([...reasons].flatMap(reason => WATCH_DOWNSTREAM[reason]));
+    const stages = STAGE_ORDER.filter(name => affected.has(name) && (name !== 'vscode' || ctx.args.vscode));
+    
+    // Drop derived state so stages reload it from the output directory
+    if (reasons.has('grammar')) {
+      ctx.grammarText = undefined;
+      ctx.schema = undefined;
     }
     
-    console.error(`\n✓ Run your language:`);
-    console.error(`  ${outputDir}/run.mjs "your code here"`);
-    console.error(`  ${outputDir}/run.mjs yourfile.${args.fileExtension || 'txt'}`)
+    log.info(`\n=== Change detected (${[...reasons].join(', ')}): re-running ${stages.join(', ')} ===\n`);
+    emitEvent('watch.change', { files: changed, reasons: [...reasons], stages });
     
+    try {
+      await pipeline.run(stages);
+      log.info('\n✓ Up to date');
+    } catch (error) {
+      log.error('\n[ERROR]', error.message);
+    }
+    return true;
+  }
+  
+  const stopWatching = watchFiles(files, async (changed) => {
+    queued.push(...changed);
+    if (running) return;
+    
+    running = true;
+    let ranStages = false;
+    while (queued.length > 0) {
+      ranStages = await handleChanges([...new Set(queued.splice(0))]) || ranStages;
+    }
+    running = false;
+    if (ranStages) log.info('\nWatching for changes...');
+  });
+  
+  signal?.addEventListener('abort', () => {
+    stopWatching();
+    process.exitCode = EXIT_CODES.INTERRUPTED;
+  }, { once: true });
+  
+  log.info('\nWatching for changes (Ctrl-C to stop):');
+  for (const file of files) {
+    log.info(`  - ${file}`);
+  }
+}
+
+// ---- Main execution ----
+async function main() {
+  const cliArgs = parseArgs();
+  const stdinContent = await readStdin();
+  
+  let args;
+  try {
+    args = await resolveOptions(cliArgs, stdinContent);
+    // Report broken prompt overrides before anything runs
+    await readPromptOverrides(args.promptsDir);
+    // --plan writes nothing, so not even the events file is opened
+    if (!args.plan) configureEvents({ format: args.events, file: args.eventsFile });
   } catch (error) {
-    console.error('\n[ERROR]', error.message);
-    if (error.stack) {
-      console.error(error.stack);
+    log.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const { spec, semantics, command } = args;
+  const outputDir = args.output;
+  
+  if (command === 'verify') {
+    process.exit(await runVerify(outputDir));
+  }
+  if (command === 'cache') {
+    process.exit(await runCacheCommand(args));
+  }
+  
+  // First Ctrl-C cancels the run (restoring partial output), a second one quits
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(EXIT_CODES.INTERRUPTED);
+    log.warn('\nInterrupted - cancelling (press Ctrl-C again to force quit)...');
+    controller.abort();
+  });
+  
+  const pipeline = createPipeline({ ...args, logger: consoleLogger, signal: controller.signal });
+  
+  if (args.plan) {
+    printPlan(await pipeline.plan(), outputDir);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  // Local servers usually need no key; apiKeyEnv names the variable when they do
+  const apiKeyVar = args.apiKeyEnv || (args.providerType === 'openai' ? 'OPENAI_API_KEY' : '');
+  if (!args.replayDir && apiKeyVar && !process.env[apiKeyVar] && pipeline.stages.some(name => stageCallsModel(name, args))) {
+    log.error(`Error: ${apiKeyVar} environment variable is required`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  log.info('=== Language Generator ===');
+  log.info(`Spec: ${spec}`);
+  log.info(`Semantics: ${semantics}`);
+  if (args.configPath) log.info(`Config: ${args.configPath}`);
+  log.info(`Models: ${Object.entries(resolveModelSettings(args)).map(([role, settings]) => `${role}=${formatModelSettings(settings)}`).join(', ')}`);
+  if (command) log.info(`Stage: ${command} (output: ${outputDir})`);
+  log.info(`Cache: Read=${READ_FROM_CACHE} (parsers: ${READ_PARSER_CACHE}), Write=${WRITE_TO_CACHE}\n`);
+  
+  try {
+    const result = await pipeline.run();
+    
+    if (command === 'schema') {
+      console.log(JSON.stringify(result.schema, null, 2));
     }
-    process.exit(1);
+    
+    if (!command) {
+      log.info(`\n✓ Generated files in ${outputDir}:`);
+      log.info(`  - grammar.lark`);
+      log.info(`  - parser.cjs`);
+      log.info(`  - interpreter.mjs`);
+      log.info(`  - run.mjs (CLI runner)`);
+      log.info(`  - ${MANIFEST_FILE}`);
+      if (args.vscode) {
+        log.info(`  - ${result.extension.extensionDir}/`);
+      }
+      
+      log.info(`\n✓ Run your language:`);
+      log.info(`  ${outputDir}/run.mjs "your code here"`);
+      log.info(`  ${outputDir}/run.mjs yourfile.${args.fileExtension || 'txt'}`)
+    }
+    
+    log.info(`\n${formatUsageSummary(result.usage)}`);
+    
+  } catch (error) {
+    // Ctrl-C has already been reported
+    if (!isAbortError(error)) {
+      log.error('\n[ERROR]', error.message);
+      if (error.stack) {
+        log.error(error.stack);
+      }
+    }
+    if (error.result) {
+      log.info(`\n${formatUsageSummary(error.result.usage)}`);
+    }
+    // In watch mode a failed run is just another state to fix
+    if (!args.watch) {
+      process.exit(exitCodeFor(error));
+    }
+  }
+  
+  if (args.watch && !controller.signal.aborted) {
+    await watchAndRegenerate(cliArgs, stdinContent, pipeline, controller.signal);
   }
 }
 
@@ -1389,4 +2670,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 // Export for programmatic use
-export { generateGrammar, compileGrammar, extractASTSchema, generateInterpreter, generateVSCodeExtension, generateExampleProgram, testGeneratedCode };
+export { createPipeline, createProvider, consoleLogger, silentLogger, generateGrammar, compileGrammar, extractASTSchema, generateInterpreter, generateVSCodeExtension, generateExampleProgram, testGeneratedCode };
@@ -0,0 +1,363 @@
+// Parser for the strict Lark subset (LARK_SUBSET_STRICT in index.js)
+// Grammar-constrained output only enforces the subset on the server; this
+// checks generated grammars locally before lark-js sees them, with line/column
+// errors the model can act on. It also rejects the few things the subset
+// allows but Lark does not (single-quoted strings, "{...}" groups, "." and
+// aliases in tokens).
+//
+// With `strict: false` it accepts the rest of Lark's grammar syntax too, for
+// grammars written by hand: ?rule and !rule, priorities (name.2:), templates
+// (name{a, b}: ... and name{x, y}), every %import form, %declare, %override,
+// %extend, "a".."z" ranges, "..."i strings, ~n repeats and empty alternatives.
+//
+// AST, one node per construct, each with line and column (1-based):
+//   grammar      { statements }
+//   rule         { name, modifiers: "" | "?" | "!" | "!?", priority, params, expansions }
+//   token_rule   { name, priority, params, expansions }
+//   import_common { name }                     import { names: [local name] }
+//   declare      { names }                     override, extend { definition: rule | token_rule }
+//   ignore_stmt  { expansion }
+//   alts         { alternatives: [alias] }     alias { expansion, alias: name | null }
+//   seq          { items: [expr] }             quanted { atom, quantifiers: ["*" | "+" | "?" | "~n..m"] }
+//   ruleref, tokref { name }                   literal, pattern, literal_range { value (as written) }
+//   group, opt_group { expansions }            template_usage { name, args: [expr] }
+// `priority` is null and `params` empty unless given; the strict subset has neither.
+
+const PUNCTUATION = ['->', ':', '|', '(', ')', '[', ']', '{', '}', '*', '+', '?', '.'];
+const LARK_PUNCTUATION = ['->', ':', '|', '(', ')', '[', ']', '{', '}', ',', '*', '+', '?', '..', '.'];
+const DIRECTIVES = ['%import', '%ignore'];
+const LARK_DIRECTIVES = ['%import', '%ignore', '%declare', '%override', '%extend'];
+
+function syntaxError(message, source, line, column) {
+  const text = source.split('\n')[line - 1] ?? '';
+  const error = new Error(`${message} at line ${line}, column ${column}\n  ${text}\n  ${' '.repeat(column - 1)}^`);
+  error.code = 'GRAMMAR_SYNTAX';
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+// ---- Tokenizer ----
+// Tokens: { type, value, line, column }; type is NAME_LC, NAME_UC, STRING,
+// REGEXP, BOUNDED_REPEAT, NUMBER, a directive, a punctuation string or EOF.
+// A NAME_LC written with rule modifiers (?expr, !expr) carries them in `modifiers`.
+function tokenize(source, strict) {
+  const tokens = [];
+  const punctuations = strict ? PUNCTUATION : LARK_PUNCTUATION;
+  const directives = strict ? DIRECTIVES : LARK_DIRECTIVES;
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const fail = (message, at = pos) => {
+    throw syntaxError(message, source, line, at - lineStart + 1);
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const start = pos;
+    const column = pos - lineStart + 1;
+    const push = (type, value, fields = {}) => tokens.push({ type, value, line, column, ...fields });
+
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(ch)) {
+      pos++;
+    } else if (source.startsWith('//', pos)) {
+      while (pos < source.length && source[pos] !== '\n') pos++;
+    } else if (source.startsWith('/*', pos)) {
+      const end = source.indexOf('*/', pos + 2);
+      if (end < 0) fail('Unterminated comment');
+      for (; pos < end + 2; pos++) {
+        if (source[pos] === '\n') {
+          line++;
+          lineStart = pos + 1;
+        }
+      }
+    } else if (ch === '"' || ch === "'") {
+      pos++;
+      while (pos < source.length && source[pos] !== ch && source[pos] !== '\n') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      if (source[pos] !== ch) fail(`Unterminated string ${source.slice(start, pos)}`, start);
+      pos++;
+      if (ch === "'") fail(`Single-quoted string ${source.slice(start, pos)} (Lark only accepts double quotes)`, start);
+      // Case-insensitive literal, "..."i
+      if (!strict && source[pos] === 'i' && !/[A-Za-z0-9_]/.test(source[pos + 1] ?? '')) pos++;
+      push('STRING', source.slice(start, pos));
+    } else if (ch === '/') {
+      pos++;
+      while (pos < source.length && source[pos] !== '/' && source[pos] !== '\n') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      if (source[pos] !== '/' || pos === start + 1) fail('Unterminated regular expression', start);
+      pos++;
+      while (/[imslux]/.test(source[pos] ?? '')) pos++;
+      push('REGEXP', source.slice(start, pos));
+    } else if (ch === '~') {
+      const match = (strict ? /^~(?:[0-9]+)?\.\.(?:[0-9]+)?/ : /^~ *[0-9]+(?: *\.\. *[0-9]+)?/).exec(source.slice(pos));
+      if (!match) fail(strict ? 'Expected a repeat range like ~2..5' : 'Expected a repeat count like ~3 or ~2..5');
+      pos += match[0].length;
+      push('BOUNDED_REPEAT', match[0]);
+    } else if (ch === '%') {
+      const word = /^%[a-z]*/.exec(source.slice(pos))[0];
+      if (!directives.includes(word)) {
+        fail(strict
+          ? `Unsupported directive "${word}" (the strict subset only has %import common.NAME and %ignore)`
+          : `Unknown directive "${word}" (Lark has ${LARK_DIRECTIVES.join(', ')})`);
+      }
+      pos += word.length;
+      push(word, word);
+    } else if (!strict && /^!?\??[a-z_]/.test(source.slice(pos, pos + 3)) && (ch === '!' || ch === '?')) {
+      // ?rule / !rule (an OP "?" is never directly followed by a lowercase name)
+      const [, modifiers, name] = /^(!?\??)([a-z_][a-z0-9_]*)/.exec(source.slice(pos));
+      pos += modifiers.length + name.length;
+      push('NAME_LC', name, { modifiers });
+    } else if (!strict && /[-+0-9]/.test(ch) && /^[-+]?[0-9]/.test(source.slice(pos, pos + 2))) {
+      const number = /^[-+]?[0-9]+/.exec(source.slice(pos))[0];
+      pos += number.length;
+      push('NUMBER', number);
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(pos))[0];
+      pos += name.length;
+      if (/^[a-z_][a-z0-9_]*$/.test(name)) {
+        push('NAME_LC', name);
+      } else if (/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+        push('NAME_UC', name);
+      } else {
+        fail(`Mixed-case name "${name}" (rule names are lowercase, token names uppercase)`, start);
+      }
+    } else {
+      const punctuation = punctuations.find(p => source.startsWith(p, pos));
+      if (!punctuation) fail(`Unexpected character "${ch}"`);
+      pos += punctuation.length;
+      push(punctuation, punctuation);
+    }
+  }
+
+  // Errors at the end point just past the last token rather than at trailing blank lines
+  const last = tokens[tokens.length - 1];
+  tokens.push(last
+    ? { type: 'EOF', value: '', line: last.line, column: last.column + last.value.length }
+    : { type: 'EOF', value: '', line: 1, column: 1 });
+  return tokens;
+}
+
+// ---- Parser ----
+// Recursive descent over the subset (or all of Lark's syntax with `strict:
+// false`). Definitions are not terminated, so a name followed by ":" (or by
+// template parameters or a priority, then ":") always starts the next one.
+export function parseLarkGrammar(source, { strict = true } = {}) {
+  const tokens = tokenize(source, strict);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos++];
+  const describe = token => token.type === 'EOF' ? 'end of grammar' : `"${token.value}"`;
+  const fail = (message, token = peek()) => {
+    throw syntaxError(message, source, token.line, token.column);
+  };
+  const expect = (type, what) => {
+    if (peek().type !== type) fail(`Expected ${what}, found ${describe(peek())}`);
+    return next();
+  };
+  const node = (type, token, fields) => ({ type, ...fields, line: token.line, column: token.column });
+
+  const isName = token => token.type === 'NAME_LC' || token.type === 'NAME_UC';
+  // Offset of the ":" when a definition starts at the current token, else -1
+  const definitionColon = () => {
+    if (!isName(peek())) return -1;
+    let offset = 1;
+    if (!strict && peek(offset).type === '{') {
+      while (!['}', ':', 'EOF'].includes(peek(offset).type)) offset++;
+      if (peek(offset).type === '}') offset++;
+    }
+    if (!strict && peek(offset).type === '.' && peek(offset + 1).type === 'NUMBER') offset += 2;
+    return peek(offset).type === ':' ? offset : -1;
+  };
+  const startsDefinition = () => definitionColon() >= 0;
+  const startsAtom = () => ['NAME_LC', 'NAME_UC', 'STRING', 'REGEXP', '(', '[', '{', '.'].includes(peek().type) && !startsDefinition();
+
+  // name{arg, ...}, after the name
+  function parseTemplateArgs(token, inToken) {
+    next();
+    const args = [parseAtom(inToken)];
+    while (peek().type === ',') {
+      next();
+      args.push(parseAtom(inToken));
+    }
+    expect('}', `"}" to close the template arguments of "${token.value}"`);
+    return node('template_usage', token, { name: token.value, args });
+  }
+
+  function parseAtom(inToken) {
+    const token = next();
+    switch (token.type) {
+      case 'NAME_LC':
+        if (inToken) fail(`Rule "${token.value}" used inside a token (tokens can only use tokens, strings and regexps)`, token);
+        if (token.modifiers) fail(`Rule modifiers ("${token.modifiers}") only go before the name in a rule definition`, token);
+        if (!strict && peek().type === '{') return parseTemplateArgs(token, inToken);
+        return node('ruleref', token, { name: token.value });
+      case 'NAME_UC':
+        if (!strict && peek().type === '{') return parseTemplateArgs(token, inToken);
+        return node('tokref', token, { name: token.value });
+      case 'STRING':
+        if (!strict && peek().type === '..') {
+          next();
+          const to = expect('STRING', 'a string after ".." (as in "a".."z")');
+          return node('literal_range', token, { value: `${token.value}..${to.value}` });
+        }
+        return node('literal', token, { value: token.value });
+      case 'REGEXP':
+        return node('pattern', token, { value: token.value });
+      case '(':
+      case '[': {
+        const expansions = parseExpansions(inToken);
+        expect(token.type === '(' ? ')' : ']', `"${token.type === '(' ? ')' : ']'}" to close the group opened at line ${token.line}, column ${token.column}`);
+        return node(token.type === '(' ? 'group' : 'opt_group', token, { expansions });
+      }
+      case '{':
+        return fail('"{...}" groups are not supported by Lark; use (...)* instead', token);
+      default:
+        return fail('"." is not supported by Lark; use a regexp like /./ instead', token);
+    }
+  }
+
+  function parseExpr(inToken) {
+    const atom = parseAtom(inToken);
+    const quantifiers = [];
+    while (['*', '+', '?', 'BOUNDED_REPEAT'].includes(peek().type)) {
+      quantifiers.push(next().value);
+    }
+    return quantifiers.length > 0 ? node('quanted', atom, { atom, quantifiers }) : atom;
+  }
+
+  function parseExpansion(inToken) {
+    const first = peek();
+    // Lark allows empty alternatives (e.g. "args: | arg"); the subset does not
+    if (!startsAtom() && !strict) return node('seq', first, { items: [] });
+    if (!startsAtom()) fail(`Expected a rule, token, string, regexp or group, found ${describe(first)}`);
+    const items = [];
+    while (startsAtom()) items.push(parseExpr(inToken));
+    return node('seq', first, { items });
+  }
+
+  function parseExpansions(inToken) {
+    const first = peek();
+    const alternatives = [];
+    for (;;) {
+      const start = peek();
+      const expansion = parseExpansion(inToken);
+      let alias = null;
+      if (peek().type === '->') {
+        const arrow = next();
+        if (inToken) fail('Aliases (-> name) are only allowed in rules, not in tokens', arrow);
+        alias = expect('NAME_LC', 'a lowercase alias name after "->"').value;
+      }
+      alternatives.push(node('alias', start, { expansion, alias }));
+      if (peek().type !== '|') break;
+      next();
+    }
+    return node('alts', first, { alternatives });
+  }
+
+  // name[{params}][.priority]: expansions
+  function parseDefinition() {
+    const token = next();
+    const isToken = token.type === 'NAME_UC';
+    const params = [];
+    if (!strict && peek().type === '{') {
+      next();
+      do {
+        if (params.length > 0) next();
+        if (!isName(peek())) fail(`Expected a template parameter name, found ${describe(peek())}`);
+        params.push(next().value);
+      } while (peek().type === ',');
+      expect('}', `"}" to close the template parameters of "${token.value}"`);
+    }
+    let priority = null;
+    if (!strict && peek().type === '.') {
+      next();
+      priority = Number(expect('NUMBER', `a priority number after "${token.value}."`).value);
+    }
+    expect(':', `":" after ${isToken ? 'token' : 'rule'} name "${token.value}"`);
+    const fields = { name: token.value, priority, params, expansions: parseExpansions(isToken) };
+    return isToken
+      ? node('token_rule', token, fields)
+      : node('rule', token, { ...fields, modifiers: token.modifiers ?? '' });
+  }
+
+  // %import [.]name(.name)* [-> alias] or %import [.]name(.name)* (name, ...)
+  function parseLarkImport(token) {
+    const path = [];
+    if (peek().type === '.') next();
+    for (;;) {
+      if (!isName(peek())) fail(`Expected a module or name in %import, found ${describe(peek())}`);
+      path.push(next());
+      if (peek().type !== '.') break;
+      next();
+    }
+    if (peek().type === '(') {
+      next();
+      const names = [];
+      do {
+        if (names.length > 0) next();
+        if (!isName(peek())) fail(`Expected a name to import, found ${describe(peek())}`);
+        names.push(next().value);
+      } while (peek().type === ',');
+      expect(')', '")" to close the %import name list');
+      return node('import', token, { names });
+    }
+    if (path.length < 2) fail('Expected %import module.NAME or %import module (NAME, ...)', path[0]);
+    let name = path[path.length - 1].value;
+    if (peek().type === '->') {
+      next();
+      if (!isName(peek())) fail(`Expected a name after "->", found ${describe(peek())}`);
+      name = next().value;
+    }
+    return node('import', token, { names: [name] });
+  }
+
+  function parseStatement() {
+    const token = peek();
+    if (token.type === '%import' && !strict) {
+      next();
+      return parseLarkImport(token);
+    }
+    if (token.type === '%declare') {
+      next();
+      const names = [];
+      while (isName(peek()) && !startsDefinition()) names.push(next().value);
+      if (names.length === 0) fail(`Expected names to declare, found ${describe(peek())}`);
+      return node('declare', token, { names });
+    }
+    if (token.type === '%override' || token.type === '%extend') {
+      next();
+      if (!startsDefinition()) fail(`Expected a rule or token definition after ${token.type}, found ${describe(peek())}`);
+      return node(token.type.slice(1), token, { definition: parseDefinition() });
+    }
+    if (token.type === '%import') {
+      next();
+      const module = expect('NAME_LC', '"common" after %import');
+      if (module.value !== 'common') fail(`Only %import common.NAME is supported, found "${module.value}"`, module);
+      expect('.', '"." after %import common');
+      const name = expect('NAME_UC', 'an uppercase token name after %import common.');
+      return node('import_common', token, { name: name.value });
+    }
+    if (token.type === '%ignore') {
+      next();
+      return node('ignore_stmt', token, { expansion: strict ? parseExpansion(true) : parseExpansions(true) });
+    }
+    if (isName(token)) return parseDefinition();
+    return fail(strict
+      ? `Expected a rule, token, %import or %ignore, found ${describe(token)}`
+      : `Expected a rule, token or directive, found ${describe(token)}`);
+  }
+
+  const statements = [];
+  while (peek().type !== 'EOF') statements.push(parseStatement());
+  if (statements.length === 0) fail('Grammar is empty');
+  return { type: 'grammar', statements, line: 1, column: 1 };
+}
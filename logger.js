@@ -0,0 +1,73 @@
+// Pluggable logging
+// Human-readable progress goes through `log`, which forwards to the logger
+// installed for the current async context (see withLogger) or the default.
+
+import { format } from 'util';
+import { getRunContext, withRunContext } from './run-context.js';
+
+// info/warn/error take console-style arguments; write() takes raw text
+// such as streamed model output.
+export const consoleLogger = {
+  info: (...args) => console.error(...args),
+  warn: (...args) => console.error(...args),
+  error: (...args) => console.error(...args),
+  write: (text) => process.stderr.write(text)
+};
+
+export const silentLogger = {
+  info() {},
+  warn() {},
+  error() {},
+  write() {}
+};
+
+let defaultLogger = consoleLogger;
+
+// Fill in any methods a custom logger leaves out
+function completeLogger(logger) {
+  return { ...silentLogger, ...logger };
+}
+
+export function setDefaultLogger(logger) {
+  defaultLogger = completeLogger(logger);
+}
+
+// Run fn with `logger` receiving everything logged inside it,
+// including from nested async calls.
+export function withLogger(logger, fn) {
+  return withRunContext({ logger: completeLogger(logger) }, fn);
+}
+
+export function getLogger() {
+  return getRunContext().logger || defaultLogger;
+}
+
+// Prefix every line with "[label] ", for output of stages running side by side.
+// Streamed text is buffered until a line is complete; flush() writes the rest.
+export function labelledLogger(logger, label) {
+  const prefix = `[${label}] `;
+  const prefixLines = text => text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+  let partial = '';
+
+  return {
+    info: (...args) => logger.info(prefixLines(format(...args))),
+    warn: (...args) => logger.warn(prefixLines(format(...args))),
+    error: (...args) => logger.error(prefixLines(format(...args))),
+    write(text) {
+      const lines = (partial + text).split('\n');
+      partial = lines.pop();
+      if (lines.length > 0) logger.write(`${prefixLines(lines.join('\n'))}\n`);
+    },
+    flush() {
+      if (partial) logger.write(`${prefix}${partial}\n`);
+      partial = '';
+    }
+  };
+}
+
+export const log = {
+  info: (...args) => getLogger().info(...args),
+  warn: (...args) => getLogger().warn(...args),
+  error: (...args) => getLogger().error(...args),
+  write: (text) => getLogger().write(text)
+};
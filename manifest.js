@@ -0,0 +1,125 @@
+// Provenance manifest for generated artifacts
+// Records how each file in the output directory was made, and checks
+// later whether the files still match that record.
+
+import { promises as fs } from 'fs';
+import { join, relative, resolve } from 'path';
+import crypto from 'crypto';
+
+export const MANIFEST_FILE = 'lang-gen.manifest.json';
+const MANIFEST_VERSION = 1;
+
+async function getGeneratorVersion() {
+  try {
+    const pkg = JSON.parse(await fs.readFile(new URL('./package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+  } catch {
+    return null;
+  }
+}
+
+export async function hashFile(file) {
+  const data = await fs.readFile(file);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ---- Loading and saving ----
+export async function loadManifest(outputDir) {
+  try {
+    return JSON.parse(await fs.readFile(join(outputDir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Start from the existing manifest (if any) so stage subcommands only
+// update the parts they touched.
+export async function openManifest(outputDir) {
+  const existing = await loadManifest(outputDir);
+  const now = new Date().toISOString();
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generator: { name: 'lang-gen', version: await getGeneratorVersion() },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    spec: existing?.spec ?? null,
+    semantics: existing?.semantics ?? null,
+    samples: existing?.samples ?? [],
+    models: { ...existing?.models },
+    promptVersions: { ...existing?.promptVersions },
+    cacheKeys: { ...existing?.cacheKeys },
+    larkJsVersion: existing?.larkJsVersion ?? null,
+    stages: { ...existing?.stages },
+    artifacts: { ...existing?.artifacts }
+  };
+}
+
+export async function writeManifest(outputDir, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+// Record (or refresh) one artifact. `inputs` lists other artifacts it was
+// derived from; their current hashes are stored so staleness can be detected.
+export async function recordArtifact(manifest, outputDir, file, { stage, inputs = [] } = {}) {
+  const name = relative(outputDir, resolve(file));
+  const sha256 = await hashFile(file);
+  const previous = manifest.artifacts[name];
+
+  const inputHashes = {};
+  for (const input of inputs) {
+    inputHashes[input] = manifest.artifacts[input]?.sha256 ?? null;
+  }
+
+  // Keep the original timestamp when a stage rewrites identical content
+  const unchanged = previous && previous.sha256 === sha256;
+  manifest.artifacts[name] = {
+    sha256,
+    bytes: (await fs.stat(file)).size,
+    stage: unchanged ? previous.stage : stage,
+    generatedAt: unchanged ? previous.generatedAt : new Date().toISOString(),
+    inputs: inputHashes
+  };
+}
+
+// ---- Verification ----
+// Returns one issue per artifact that is missing, was edited after it was
+// recorded, or was derived from an input that has since changed.
+export async function verifyManifest(outputDir) {
+  const manifest = await loadManifest(outputDir);
+  if (!manifest) {
+    const error = new Error(`${MANIFEST_FILE} not found in ${outputDir}`);
+    error.code = 'MANIFEST_MISSING';
+    throw error;
+  }
+
+  const issues = [];
+  const currentHashes = {};
+
+  for (const [name, artifact] of Object.entries(manifest.artifacts)) {
+    try {
+      currentHashes[name] = await hashFile(join(outputDir, name));
+    } catch {
+      issues.push({ file: name, status: 'missing', detail: 'file no longer exists' });
+      continue;
+    }
+
+    if (currentHashes[name] !== artifact.sha256) {
+      issues.push({ file: name, status: 'modified', detail: 'content differs from the recorded hash' });
+    }
+  }
+
+  for (const [name, artifact] of Object.entries(manifest.artifacts)) {
+    for (const [input, recordedHash] of Object.entries(artifact.inputs || {})) {
+      if (recordedHash && manifest.artifacts[input] && manifest.artifacts[input].sha256 !== recordedHash) {
+        issues.push({ file: name, status: 'stale', detail: `built from an older ${input}` });
+      } else if (recordedHash && currentHashes[input] && currentHashes[input] !== recordedHash) {
+        issues.push({ file: name, status: 'stale', detail: `${input} changed since this file was built` });
+      }
+    }
+  }
+
+  return { manifest, issues };
+}
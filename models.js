@@ -0,0 +1,63 @@
+// Per-stage model settings
+// Each prompt can use its own model, reasoning effort and verbosity. Options use
+// flattened names: `model`, `reasoningEffort` and `verbosity` are the defaults,
+// `<role>Model`, `<role>ReasoningEffort` and `<role>Verbosity` override them for
+// one role (e.g. grammarModel from --grammar-model or models.grammar.model).
+
+export const MODEL_ROLES = ['grammar', 'example', 'interpreter', 'textmate'];
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+export const VERBOSITY_LEVELS = ['low', 'medium', 'high'];
+export const DEFAULT_MODEL = 'gpt-5';
+
+// Interpreter fixes are interpreter prompts too
+const ROLE_OF_PROMPT = { interpreterFix: 'interpreter' };
+
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+// Option names for one role: { model: 'grammarModel', reasoningEffort: 'grammarReasoningEffort', ... }
+export function roleOptionNames(role) {
+  return {
+    model: `${role}Model`,
+    reasoningEffort: `${role}ReasoningEffort`,
+    verbosity: `${role}Verbosity`
+  };
+}
+
+// { grammar: { model, reasoningEffort, verbosity }, ... }. Unset effort and
+// verbosity are left out, so the model's own defaults apply.
+export function resolveModelSettings(options = {}) {
+  const settings = {};
+  for (const role of MODEL_ROLES) {
+    const names = roleOptionNames(role);
+    settings[role] = {
+      model: options[names.model] || options.model || process.env.OPENAI_MODEL || DEFAULT_MODEL,
+      reasoningEffort: options[names.reasoningEffort] || options.reasoningEffort || undefined,
+      verbosity: options[names.verbosity] || options.verbosity || undefined
+    };
+  }
+  return settings;
+}
+
+export function settingsForPrompt(settings, prompt) {
+  return settings[ROLE_OF_PROMPT[prompt] || prompt];
+}
+
+// Throws for unknown effort or verbosity values in flattened options
+export function validateModelOptions(options) {
+  const checks = [['reasoningEffort', 'reasoning-effort', REASONING_EFFORTS], ['verbosity', 'verbosity', VERBOSITY_LEVELS]];
+  for (const [key, flag, allowed] of checks) {
+    for (const [name, flagName] of [[key, flag], ...MODEL_ROLES.map(role => [`${role}${capitalize(key)}`, `${role}-${flag}`])]) {
+      if (options[name] && !allowed.includes(options[name])) {
+        throw new Error(`Invalid --${flagName} "${options[name]}" (expected one of: ${allowed.join(', ')})`);
+      }
+    }
+  }
+}
+
+// "gpt-5 (effort high, verbosity low)"
+export function formatModelSettings({ model, reasoningEffort, verbosity }) {
+  const details = [reasoningEffort && `effort ${reasoningEffort}`, verbosity && `verbosity ${verbosity}`].filter(Boolean);
+  return details.length > 0 ? `${model} (${details.join(', ')})` : model;
+}
@@ -0,0 +1,336 @@
+// Prompt registry
+// Every prompt lang-gen sends is built from named templates, versioned per
+// prompt. Templates use {{name}} for variables, {{#name}}...{{/name}} for
+// sections kept only when the variable is non-empty, and {{> template}} to
+// include another template.
+//
+// A directory of overrides (--prompts-dir) can replace any template: the file
+// <template name>.txt (e.g. grammar.instructions.txt) is used instead of the
+// built-in text. Overridden prompts get a different version, so their cache
+// entries never mix with those of the built-in ones.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { getRunContext } from './run-context.js';
+
+// Bump a prompt's version when its templates change in a way that affects output
+export const PROMPT_VERSIONS = {
+  grammar: 1,
+  example: 1,
+  interpreter: 1,
+  interpreterFix: 1,
+  textmate: 1
+};
+
+// Variables each prompt provides to its templates
+export const PROMPT_VARIABLES = {
+  grammar: ['spec', 'sample', 'referenceGrammars', 'previousErrors'],
+  example: ['spec', 'grammarText', 'semantics', 'sample'],
+  interpreter: ['grammarText', 'astNotes', 'semantics', 'sample'],
+  interpreterFix: ['grammarText', 'astNotes', 'semantics', 'sample', 'errorMessage', 'sampleCode', 'userInstructions', 'currentCode'],
+  textmate: ['spec', 'languageId', 'languageName', 'grammarText']
+};
+
+// ---- Built-in templates ----
+// Names are <prompt>.<part>; every prompt has an instructions and an input part.
+export const TEMPLATES = {
+  'grammar.instructions': `
+You are a CFG designer.
+
+Task: Output EXACTLY ONE Lark grammar that defines a context-free grammar for the language described in the input.
+The output MUST conform to a strict subset of Lark (validator provided via tool):
+- Only: rules/tokens, groups (), optionals [], repetitions {}, postfix + ? * and bounded repeats ~min..max.
+- Only "%import common.*" and "%ignore".
+- NO %declare, NO templates, NO terminal priorities.
+- Regex terminals must avoid lookaround and lazy quantifiers; flags like i,m,s,l,u,x are fine.
+
+Formatting requirements:
+- Output ONLY the grammar text (no code fences, no prose).
+- Provide a single entry rule named "start".
+- Use lowercase names for rules, UPPERCASE for tokens.
+- Include "%import common.WS" and "%ignore WS" unless whitespace is significant.
+- Prefer using aliases "-> name" on meaningful alternatives to guide AST shape.
+
+CRITICAL for operator handling:
+- Define operators as separate UPPERCASE tokens (e.g., ADD_OP: "+", MUL_OP: "*")
+- DO NOT use inline literals like ("+" | "-") in rules - these get discarded by the parser
+- Example: Instead of: sum: product (("+" | "-") product)*
+           Use: sum: product (ADD_OP product | SUB_OP product)*
+                ADD_OP: "+"
+                SUB_OP: "-"
+- This ensures operators are preserved in the AST for the interpreter to handle
+
+If the spec is underspecified, choose a reasonable minimal design rather than asking questions.
+
+CRITICAL SYNTAX RULES:
+- ALL string literals MUST use double quotes: "string" (NOT 'string')
+- Quotes must be properly matched: "^" not "^'
+- Use standard operators: "-" for negation (not "_")
+- In patterns like (expr "," expr)*, use double quotes for the comma{{#sample}}
+
+EXAMPLE PROGRAM TO SUPPORT:
+The grammar must be able to parse this example:
+{{sample}}
+Make sure your grammar handles all the constructs shown in this example.{{/sample}}{{#referenceGrammars}}
+
+REFERENCE GRAMMARS:
+These grammars were written for similar languages and compiled successfully. Reuse their
+structure and conventions where they fit, but design for the language described in the input
+and leave out constructs it does not ask for.
+{{referenceGrammars}}{{/referenceGrammars}}{{#previousErrors}}
+
+PREVIOUS ATTEMPTS FAILED WITH THESE ERRORS:
+{{previousErrors}}
+
+Please fix these specific issues in your grammar.{{/previousErrors}}`,
+
+  'grammar.input': `Language description:
+{{spec}}{{#sample}}
+
+Example program that must be parseable:
+{{sample}}{{/sample}}`,
+
+  'example.instructions': `You are a code example writer.
+Output ONLY example code that conforms to the provided grammar.
+The example should demonstrate the key features of the language.{{#sample}}
+
+USE THIS AS INSPIRATION:
+Here's an example of the kind of program this language should support:
+{{sample}}{{/sample}}`,
+
+  'example.input': `Given this language specification and grammar, write a good example program.
+
+Language specification: {{spec}}
+
+Grammar:
+{{grammarText}}
+
+Semantics: {{semantics}}
+
+The example should be:
+- Clear and well-commented (if the language supports comments)
+- Demonstrate the main features
+- Be relatively short but meaningful
+- Include expected output or result as a comment if possible`,
+
+  // Shared by the interpreter and interpreterFix instructions
+  'interpreter.requirements': `Requirements for your output:
+- Define ONLY an \`evaluate(ast)\` function that interprets the AST
+- DO NOT include the run function or parser setup - that's handled by the prelude
+- DO NOT try to parse or call get_parser - you only work with the AST
+- The evaluate function should handle all node types from the grammar
+- Use the node.type field to determine which rule/alias is being evaluated
+- Token nodes have { type, value } structure
+- Tree nodes have { type, children } structure
+- No eval(), no network, deterministic, side-effect free (unless SEMANTICS says otherwise).
+- Include helpful error messages for unknown node types.
+
+CRITICAL for handling operators:
+- Operators appear as token nodes in the children array between operands
+- Check token.type (not token.value) for operator tokens like ADD_OP, SUB_OP, MUL_OP, DIV_OP
+- Example: For "1 + 2", the sum node will have children: [operand1, ADD_OP token, operand2]
+- When processing binary operations, iterate through children finding alternating operands and operators
+
+Keep the code idiomatic, readable, with small helpers for walking the AST.{{#sample}}
+
+EXAMPLE PROGRAM TO INTERPRET:
+Your interpreter must be able to correctly handle this example:
+{{sample}}{{/sample}}`,
+
+  'interpreter.instructions': `
+You write a self-contained JavaScript module that INTERPRETS programs written in a DSL.
+Do NOT restate or explain anything; output ONLY code.
+
+Input context:
+- A Lark grammar (strict subset) that defines the DSL's syntax.
+- An auto-derived AST shape description.
+- A SEMANTICS description that defines what programs should DO.
+
+{{> interpreter.requirements}}`,
+
+  'interpreter.input': `
+GRAMMAR:
+<<<LARK
+{{grammarText}}
+LARK>>>
+
+AST NOTES (structure only):
+{{astNotes}}
+
+SEMANTICS (what the language should DO):
+<<<SEM
+{{semantics}}
+SEM>>>
+
+Write ONLY the evaluate function now. Output ONLY code. 
+The function signature must be: function evaluate(ast) { ... }
+DO NOT export anything - the prelude handles exports.
+DO NOT create a run function - the prelude handles that.
+Use AST node \`type\` strings from the notes above (prefer alias names if present).`,
+
+  // Both fix flows: automatic, and with the user's instructions (userInstructions set)
+  'interpreterFix.instructions': `
+You write a self-contained JavaScript module that INTERPRETS programs written in a DSL.
+Do NOT restate or explain anything; output ONLY code.
+
+CRITICAL: The previous interpreter failed with this error:
+{{errorMessage}}
+
+When testing with sample input: "{{sampleCode}}"
+{{#userInstructions}}
+USER'S FIX INSTRUCTIONS:
+{{userInstructions}}
+
+CURRENT INTERPRETER CODE THAT FAILED:
+<<<CURRENT_CODE
+{{currentCode}}
+CURRENT_CODE>>>
+
+The user has specifically requested the above fixes. Make sure to address their concerns while fixing the error.
+{{/userInstructions}}
+Common issues to avoid:
+- The parser may not accept options like 'strict' or 'ordered_sets' - don't pass them
+- Make sure to only pass supported options to get_parser: propagate_positions, transformer, tree_class, debug
+- Ensure the evaluate function handles all AST node types properly
+- Token nodes have { type, value } structure
+- Tree nodes have { type, children } structure
+- If the grammar requires semicolons at statement end, consider auto-adding them for convenience
+- The evaluate function must return the final result, not undefined
+
+{{> interpreter.requirements}}`,
+
+  'interpreterFix.input': `{{> interpreter.input}}`,
+
+  'textmate.instructions': `You are a TextMate grammar expert.
+Generate a complete TextMate grammar (JSON format) for VSCode syntax highlighting.
+Output ONLY the JSON grammar, no explanations or markdown.`,
+
+  'textmate.input': `Generate a TextMate grammar for this language:
+
+Language spec: {{spec}}
+Language ID: {{languageId}}
+Language name: {{languageName}}
+Scope name: source.{{languageId}}
+
+Lark grammar:
+{{grammarText}}
+
+Requirements:
+- Include patterns for all tokens and keywords from the grammar
+- Use standard TextMate scopes (comment.line, keyword.control, constant.numeric, string.quoted, etc.)
+- Support nested patterns where appropriate
+- Include repository definitions for reusable patterns
+- Make sure operators, keywords, strings, numbers, comments are all properly highlighted`
+};
+
+// ---- Overrides ----
+// Each pipeline run renders with its own overrides (`overrides` in run-context.js,
+// from readPromptOverrides); outside a run, the built-in templates apply.
+function currentOverrides() {
+  return getRunContext().overrides ?? {};
+}
+
+function promptError(message) {
+  const error = new Error(message);
+  error.code = 'PROMPT_INVALID';
+  return error;
+}
+
+function templateText(name, overrides = currentOverrides()) {
+  return overrides[name] ?? TEMPLATES[name];
+}
+
+const PARTIAL = /\{\{>\s*([\w.]+)\s*\}\}/g;
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+// Template names a template includes, directly or through other templates
+function includedTemplates(name, seen = new Set(), overrides = currentOverrides()) {
+  for (const [, partial] of (templateText(name, overrides) || '').matchAll(PARTIAL)) {
+    if (!seen.has(partial)) {
+      seen.add(partial);
+      includedTemplates(partial, seen, overrides);
+    }
+  }
+  return seen;
+}
+
+// Check a template's includes and variables against what its prompt provides
+function checkTemplate(name, text) {
+  const prompt = name.split('.')[0];
+  const variables = PROMPT_VARIABLES[prompt] || [];
+  for (const [, partial] of text.matchAll(PARTIAL)) {
+    if (!TEMPLATES[partial]) throw promptError(`Template ${name} includes unknown template "${partial}"`);
+  }
+  const stripped = text.replace(PARTIAL, '').replace(/\{\{[#/](\w+)\}\}/g, '{{$1}}');
+  for (const [, variable] of stripped.matchAll(VARIABLE)) {
+    if (!variables.includes(variable)) {
+      throw promptError(`Template ${name} uses unknown variable {{${variable}}} (available: ${variables.join(', ')})`);
+    }
+  }
+}
+
+// Read and check <template name>.txt files from `dir`: { <template name>: text }
+// (empty when dir is empty)
+export async function readPromptOverrides(dir) {
+  const loaded = {};
+  if (dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      throw promptError(`Could not read prompts directory ${dir}: ${err.message}`);
+    }
+    for (const file of files.filter(file => file.endsWith('.txt'))) {
+      const name = file.slice(0, -'.txt'.length);
+      if (!TEMPLATES[name]) {
+        throw promptError(`Unknown prompt template ${join(dir, file)} (expected one of: ${Object.keys(TEMPLATES).map(t => `${t}.txt`).join(', ')})`);
+      }
+      loaded[name] = await fs.readFile(join(dir, file), 'utf8');
+      checkTemplate(name, loaded[name]);
+    }
+  }
+  // Includes are checked once all overrides are known
+  for (const name of Object.keys(TEMPLATES)) {
+    if (includedTemplates(name, new Set(), loaded).has(name)) throw promptError(`Template ${name} includes itself`);
+  }
+  return loaded;
+}
+
+// ---- Rendering ----
+const PLACEHOLDER = /\{\{>\s*([\w.]+)\s*\}\}|\{\{(\w+)\}\}/g;
+
+function render(name, variables) {
+  let text = templateText(name);
+  // Sections first (repeatedly, for nested ones), then includes and variables
+  // in a single pass so inserted values are never read as template syntax
+  for (let previous = null; previous !== text;) {
+    previous = text;
+    text = text.replace(SECTION, (_, variable, body) => (variables[variable] ? body : ''));
+  }
+  return text.replace(PLACEHOLDER, (_, partial, variable) =>
+    (partial ? render(partial, variables) : String(variables[variable] ?? '')));
+}
+
+// { instructions, input } for `prompt` with the given variables
+export function renderPrompt(prompt, variables) {
+  return {
+    instructions: render(`${prompt}.instructions`, variables),
+    input: render(`${prompt}.input`, variables)
+  };
+}
+
+// The built-in version, plus a hash of the overrides when any of the prompt's
+// templates (or templates they include) are overridden: "1" or "1+custom.3f2a9c1e"
+export function promptVersion(prompt) {
+  const names = [`${prompt}.instructions`, `${prompt}.input`]
+    .flatMap(name => [name, ...includedTemplates(name)]);
+  const overrides = currentOverrides();
+  const overridden = [...new Set(names)].filter(name => overrides[name] !== undefined).sort();
+  if (overridden.length === 0) return String(PROMPT_VERSIONS[prompt]);
+
+  const hash = crypto.createHash('sha256');
+  for (const name of overridden) hash.update(name).update('\0').update(overrides[name]).update('\0');
+  return `${PROMPT_VERSIONS[prompt]}+custom.${hash.digest('hex').slice(0, 8)}`;
+}
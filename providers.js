@@ -0,0 +1,279 @@
+// Model providers
+// Everything lang-gen asks a model goes through a provider, so the generators
+// work with any backend and no client is created until the first request.
+//
+// A request is { model, instructions, input, grammar?, reasoningEffort?, verbosity? }
+// where grammar is { name, description, definition } (a Lark grammar the output
+// must match); reasoningEffort and verbosity are left to the model when unset.
+// Providers implement (`options` is { signal }, an AbortSignal):
+//   generate(request, options)            -> { text, usage }   plain text
+//   generateWithGrammar(request, options) -> { text, usage }   output constrained by request.grammar
+//   stream(request, options)              -> async iterable of { type: 'delta', text } and
+//                                            a final { type: 'done', usage }; honours request.grammar
+// `usage` is { inputTokens, outputTokens, reasoningTokens }. Refusals, truncated
+// responses and failures are thrown as errors with a `code` (see responses.js).
+//
+// The built-in providers expose the `baseURL` they talk to (undefined for the
+// default OpenAI endpoint) and accept `wrapClient(createClient)`, which returns the
+// client to use instead of the real one (see replay.js), and `timeoutMs` per request.
+// The client's own retries are off; collectStream() retries transient errors instead.
+
+import OpenAI from 'openai';
+import { normalizeUsage, recordUsage } from './usage.js';
+import { decodeResponse, decodeResponseStream, modelError } from './responses.js';
+import { emitEvent } from './events.js';
+import { log } from './logger.js';
+import { DEFAULT_REQUEST_TIMEOUT_MS, MAX_TRANSIENT_RETRIES, requestSignal, isTransientError, backoffDelay, sleep, abortError } from './retry.js';
+import { createRecordingClient, createReplayClient } from './replay.js';
+
+export const PROVIDER_TYPES = ['openai', 'openai-compatible'];
+
+function grammarTool(grammar) {
+  return {
+    type: 'custom',
+    name: grammar.name,
+    description: grammar.description,
+    format: {
+      type: 'grammar',
+      syntax: 'lark',
+      definition: grammar.definition
+    }
+  };
+}
+
+// ---- OpenAI (Responses API) ----
+export function createOpenAIProvider({ apiKey, baseURL, wrapClient, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  let client = null;
+  const createClient = () => new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  const getClient = () => (client ??= wrapClient ? wrapClient(createClient) : createClient());
+
+  function responseParams({ model, instructions, input, grammar, reasoningEffort, verbosity }) {
+    return {
+      model,
+      instructions,
+      input,
+      ...(grammar ? { tools: [grammarTool(grammar)], tool_choice: 'required' } : {}),
+      ...(reasoningEffort ? { reasoning: { effort: reasoningEffort } } : {}),
+      ...(verbosity ? { text: { verbosity } } : {})
+    };
+  }
+
+  async function generate(request, { signal } = {}) {
+    const guard = requestSignal(signal, timeoutMs);
+    try {
+      return decodeResponse(await getClient().responses.create({ ...responseParams(request), stream: false }, { signal: guard.signal }));
+    } catch (error) {
+      throw guard.translate(error);
+    }
+  }
+
+  async function* stream(request, { signal } = {}) {
+    const guard = requestSignal(signal, timeoutMs);
+    try {
+      yield* decodeResponseStream(await getClient().responses.create({ ...responseParams(request), stream: true }, { signal: guard.signal }));
+    } catch (error) {
+      throw guard.translate(error);
+    }
+  }
+
+  return {
+    name: 'openai',
+    baseURL,
+    generate,
+    generateWithGrammar: generate,
+    stream
+  };
+}
+
+// ---- OpenAI-compatible servers (Chat Completions) ----
+// For local model servers (vLLM, llama.cpp, Ollama, ...). Few of them support
+// grammar tools, so the grammar is either sent in a server-specific body field
+// (`grammarParam`, e.g. "guided_grammar" for vLLM) or included in the instructions.
+export function createCompatibleProvider({ baseURL, apiKey, grammarParam, wrapClient, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  if (!baseURL) {
+    throw new Error('The openai-compatible provider needs a base URL (--base-url or provider.baseURL)');
+  }
+
+  let client = null;
+  // Most local servers ignore the key, but the client insists on one
+  const createClient = () => new OpenAI({ baseURL, apiKey: apiKey || 'not-needed', maxRetries: 0 });
+  const getClient = () => (client ??= wrapClient ? wrapClient(createClient) : createClient());
+
+  function chatParams({ model, instructions, input, grammar, reasoningEffort, verbosity }) {
+    let system = instructions;
+    const extra = {};
+    if (reasoningEffort) extra.reasoning_effort = reasoningEffort;
+    if (verbosity) extra.verbosity = verbosity;
+    if (grammar && grammarParam) {
+      extra[grammarParam] = grammar.definition;
+    } else if (grammar) {
+      system += `\n\nYour entire reply must be valid according to this Lark grammar (output only the text, no markdown):\n${grammar.definition}`;
+    }
+
+    return {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: input }
+      ],
+      ...extra
+    };
+  }
+
+  function chatUsage(usage) {
+    return normalizeUsage({
+      input_tokens: usage?.prompt_tokens,
+      output_tokens: usage?.completion_tokens,
+      output_tokens_details: { reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens }
+    });
+  }
+
+  // Map the finish reason onto the same errors as the Responses API
+  function checkFinish(finishReason, refusalText, text, usage) {
+    if (refusalText || finishReason === 'content_filter') {
+      throw modelError('MODEL_REFUSAL', `Model refused the request: ${refusalText || 'content filtered'}`, {
+        refusal: refusalText || 'content filtered',
+        usage: chatUsage(usage)
+      });
+    }
+    if (finishReason === 'length') {
+      throw modelError('MODEL_INCOMPLETE', 'Model response is incomplete (max_output_tokens)', {
+        reason: 'max_output_tokens',
+        text,
+        usage: chatUsage(usage)
+      });
+    }
+  }
+
+  async function generate(request, { signal } = {}) {
+    const guard = requestSignal(signal, timeoutMs);
+    let completion;
+    try {
+      completion = await getClient().chat.completions.create({ ...chatParams(request), stream: false }, { signal: guard.signal });
+    } catch (error) {
+      throw guard.translate(error);
+    }
+    const choice = completion.choices?.[0];
+    const text = choice?.message?.content || '';
+    checkFinish(choice?.finish_reason, choice?.message?.refusal, text, completion.usage);
+    return { text, usage: chatUsage(completion.usage) };
+  }
+
+  async function* stream(request, { signal } = {}) {
+    const guard = requestSignal(signal, timeoutMs);
+    try {
+      yield* streamChunks(request, guard.signal);
+    } catch (error) {
+      throw guard.translate(error);
+    }
+  }
+
+  async function* streamChunks(request, signal) {
+    const chunks = await getClient().chat.completions.create({
+      ...chatParams(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+    let usage = null;
+    let text = '';
+    let refusalText = '';
+    let finishReason = null;
+
+    for await (const chunk of chunks) {
+      if (chunk.usage) usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (choice?.delta?.refusal) refusalText += choice.delta.refusal;
+      if (choice?.delta?.content) {
+        text += choice.delta.content;
+        yield { type: 'delta', text: choice.delta.content };
+      }
+    }
+
+    checkFinish(finishReason, refusalText, text, usage);
+    yield { type: 'done', usage: chatUsage(usage) };
+  }
+
+  return {
+    name: 'openai-compatible',
+    baseURL,
+    generate,
+    generateWithGrammar: generate,
+    stream
+  };
+}
+
+// ---- Selection ----
+// `options` uses the flattened config names: providerType, baseURL, apiKeyEnv,
+// grammarParam, recordDir, replayDir and requestTimeout (seconds, 0 = none)
+export function createProvider(options = {}) {
+  const type = options.providerType || 'openai';
+  const apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : undefined;
+  const timeoutMs = options.requestTimeout !== undefined ? options.requestTimeout * 1000 : DEFAULT_REQUEST_TIMEOUT_MS;
+
+  let wrapClient;
+  if (options.replayDir) {
+    wrapClient = () => createReplayClient({ dir: options.replayDir });
+  } else if (options.recordDir) {
+    wrapClient = createClient => createRecordingClient(createClient, { dir: options.recordDir });
+  }
+
+  if (type === 'openai') {
+    return createOpenAIProvider({ apiKey, baseURL: options.baseURL || undefined, wrapClient, timeoutMs });
+  }
+  if (type === 'openai-compatible') {
+    return createCompatibleProvider({ baseURL: options.baseURL, apiKey, grammarParam: options.grammarParam, wrapClient, timeoutMs });
+  }
+  throw new Error(`Unknown provider "${type}" (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+}
+
+// Used by the exported generators when no provider is passed in
+let defaultProvider = null;
+
+export function getDefaultProvider() {
+  return (defaultProvider ??= createOpenAIProvider());
+}
+
+export function setDefaultProvider(provider) {
+  defaultProvider = provider;
+}
+
+// ---- Consuming streams ----
+// Run a streaming request for `stage`: deltas become progress events (and are
+// echoed to the log when `echo` is set) and token usage is recorded, also for
+// responses that fail part-way. Transient errors are retried with backoff.
+export async function collectStream(provider, request, { stage, echo = false, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await streamOnce(provider, request, { stage, echo, signal });
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      if (!isTransientError(error) || attempt > MAX_TRANSIENT_RETRIES) throw error;
+
+      const delayMs = backoffDelay(attempt, error);
+      log.warn(`${error.message} - retrying ${stage} request in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${MAX_TRANSIENT_RETRIES})`);
+      emitEvent('retry', { stage, attempt: attempt + 1, maxAttempts: MAX_TRANSIENT_RETRIES + 1, error: error.message, transient: true, delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+async function streamOnce(provider, request, { stage, echo, signal }) {
+  let text = '';
+  try {
+    for await (const chunk of provider.stream(request, { signal })) {
+      if (chunk.type === 'done') {
+        if (echo) log.write('\n');
+        return { text, usage: recordUsage(stage, chunk.usage, request.model) };
+      }
+      text += chunk.text;
+      if (echo) log.write(chunk.text);
+      emitEvent('delta', { stage, text: chunk.text });
+    }
+  } catch (error) {
+    if (echo && text) log.write('\n');
+    if (error.usage) recordUsage(stage, error.usage, request.model);
+    throw error;
+  }
+  throw modelError('MODEL_INCOMPLETE', `The ${stage} stream ended without a final response`, { reason: 'stream_ended', text });
+}
@@ -0,0 +1,115 @@
+// Record and replay of model traffic
+// Wraps an OpenAI client so every request and its response (for streams, every
+// raw event) is saved as a fixture file, or served back from those files with
+// no network access. Fixtures are keyed by a fingerprint of the request, so a
+// changed prompt, model or grammar simply misses.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+
+// JSON with sorted keys, so hashes do not depend on property order (also used by cache.js)
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function requestFingerprint(endpoint, params) {
+  return crypto.createHash('sha256').update(endpoint).update(stableStringify(params)).digest('hex');
+}
+
+function fixturePath(dir, endpoint, fingerprint) {
+  return join(dir, `${endpoint}-${fingerprint}.json`);
+}
+
+// A client-shaped object with the two endpoints lang-gen uses
+function clientWith(handle) {
+  return {
+    responses: { create: (params, options) => handle('responses.create', params, options) },
+    chat: { completions: { create: (params, options) => handle('chat.completions.create', params, options) } }
+  };
+}
+
+function callEndpoint(client, endpoint, params, options) {
+  return endpoint === 'responses.create'
+    ? client.responses.create(params, options)
+    : client.chat.completions.create(params, options);
+}
+
+// ---- Recording ----
+// `createClient` makes the real client on the first request, so setting up a
+// recording never needs credentials by itself.
+export function createRecordingClient(createClient, { dir }) {
+  let client = null;
+
+  async function save(endpoint, params, fingerprint, result) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(fixturePath(dir, endpoint, fingerprint), JSON.stringify({
+      fingerprint,
+      endpoint,
+      request: params,
+      ...result,
+      recordedAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+  }
+
+  // Only complete streams are worth replaying. Readers stop at response.completed
+  // without asking for more, which ends this generator early, so the fixture is
+  // saved on the way out rather than after the loop.
+  async function* recordStream(stream, endpoint, params, fingerprint) {
+    const events = [];
+    let complete = false;
+    try {
+      for await (const event of stream) {
+        events.push(event);
+        if (event?.type === 'response.completed') complete = true;
+        yield event;
+      }
+      complete = true;
+    } finally {
+      if (complete) await save(endpoint, params, fingerprint, { stream: true, events });
+    }
+  }
+
+  // Request options (such as the abort signal) are not part of the fingerprint
+  return clientWith(async (endpoint, params, options) => {
+    const fingerprint = requestFingerprint(endpoint, params);
+    const result = await callEndpoint(client ??= createClient(), endpoint, params, options);
+
+    if (params.stream) {
+      return recordStream(result, endpoint, params, fingerprint);
+    }
+    await save(endpoint, params, fingerprint, { stream: false, response: result });
+    return result;
+  });
+}
+
+// ---- Replay ----
+export function createReplayClient({ dir }) {
+  async function* replayStream(events) {
+    for (const event of events) {
+      yield event;
+    }
+  }
+
+  return clientWith(async (endpoint, params) => {
+    const fingerprint = requestFingerprint(endpoint, params);
+    const file = fixturePath(dir, endpoint, fingerprint);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      const error = new Error(`No recorded response for this ${endpoint} request (expected ${file}). Re-record with --record ${dir}.`);
+      error.code = 'FIXTURE_MISSING';
+      error.fingerprint = fingerprint;
+      throw error;
+    }
+
+    return fixture.stream ? replayStream(fixture.events) : fixture.response;
+  });
+}
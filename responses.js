@@ -0,0 +1,129 @@
+// Responses API decoding
+// Turns raw Responses API stream events (or a finished response) into the
+// provider chunk format, and reports refusals, truncated responses and failures
+// as errors with a `code` instead of returning partial or empty text.
+//
+// Error codes:
+//   MODEL_REFUSAL     the model declined; error.refusal holds its message
+//   MODEL_INCOMPLETE  the response was cut short; error.reason (e.g. max_output_tokens),
+//                     error.text (what arrived) and error.usage
+//   MODEL_FAILED      the API reported a failure; error.status / error.apiCode
+
+import { normalizeUsage } from './usage.js';
+import { log } from './logger.js';
+
+export function modelError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, fields);
+  return error;
+}
+
+// Text-carrying events, by type
+const DELTA_EVENTS = new Set([
+  'response.output_text.delta',
+  'response.custom_tool_call_input.delta'
+]);
+
+// Lifecycle and bookkeeping events that carry nothing we need
+const IGNORED_EVENTS = new Set([
+  'response.created',
+  'response.queued',
+  'response.in_progress',
+  'response.output_item.added',
+  'response.output_item.done',
+  'response.content_part.added',
+  'response.content_part.done',
+  'response.output_text.done',
+  'response.output_text.annotation.added',
+  'response.custom_tool_call_input.done',
+  'response.refusal.done'
+]);
+
+function failure(response, fallback) {
+  const apiError = response?.error;
+  return modelError('MODEL_FAILED', `Model request failed: ${apiError?.message || fallback}`, {
+    apiCode: apiError?.code,
+    usage: normalizeUsage(response?.usage)
+  });
+}
+
+function incomplete(response, text) {
+  const reason = response?.incomplete_details?.reason || 'unknown';
+  return modelError('MODEL_INCOMPLETE', `Model response is incomplete (${reason})`, {
+    reason,
+    text,
+    usage: normalizeUsage(response?.usage)
+  });
+}
+
+function refusal(message, usage) {
+  return modelError('MODEL_REFUSAL', `Model refused the request: ${message}`, {
+    refusal: message,
+    usage: normalizeUsage(usage)
+  });
+}
+
+// Yields { type: 'delta', text } for every piece of output and a final
+// { type: 'done', usage }, or throws one of the errors above.
+export async function* decodeResponseStream(events) {
+  let text = '';
+  let refusalText = '';
+  const warned = new Set();
+
+  for await (const event of events) {
+    const type = event?.type;
+
+    if (DELTA_EVENTS.has(type)) {
+      if (event.delta) {
+        text += event.delta;
+        yield { type: 'delta', text: event.delta };
+      }
+    } else if (type === 'response.refusal.delta') {
+      refusalText += event.delta || '';
+    } else if (type === 'response.completed') {
+      if (refusalText) throw refusal(refusalText, event.response?.usage);
+      yield { type: 'done', usage: normalizeUsage(event.response?.usage) };
+      return;
+    } else if (type === 'response.incomplete') {
+      throw incomplete(event.response, text);
+    } else if (type === 'response.failed') {
+      throw failure(event.response, 'response failed');
+    } else if (type === 'error') {
+      throw modelError('MODEL_FAILED', `Model request failed: ${event.message || 'stream error'}`, { apiCode: event.code });
+    } else if (IGNORED_EVENTS.has(type) || type?.startsWith('response.reasoning')) {
+      // Nothing to do
+    } else if (!warned.has(type)) {
+      // Unknown shapes are reported once rather than silently dropped
+      warned.add(type);
+      log.warn(`Warning: ignoring unexpected response stream event "${type}"`);
+    }
+  }
+
+  throw modelError('MODEL_INCOMPLETE', 'Model response stream ended before the response completed', {
+    reason: 'stream_ended',
+    text,
+    usage: normalizeUsage(null)
+  });
+}
+
+// Same checks for a non-streamed response. With a grammar tool the text is
+// the tool call input, otherwise the message text.
+export function decodeResponse(response) {
+  if (response.status === 'failed') throw failure(response, 'response failed');
+
+  let text = '';
+  for (const item of response.output || []) {
+    if (item.type === 'custom_tool_call') {
+      text += item.input || '';
+    } else if (item.type === 'message') {
+      for (const part of item.content || []) {
+        if (part.type === 'refusal') throw refusal(part.refusal, response.usage);
+        if (part.type === 'output_text') text += part.text;
+      }
+    }
+  }
+
+  if (response.status === 'incomplete') throw incomplete(response, text);
+  return { text, usage: normalizeUsage(response.usage) };
+}
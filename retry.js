@@ -0,0 +1,76 @@
+// Timeouts, cancellation and backoff for model calls
+// Transient failures (rate limits, 5xx, dropped connections, timeouts) are
+// retried with exponential backoff; everything else is left to the caller.
+
+import OpenAI from 'openai';
+import { modelError } from './responses.js';
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 10 * 60 * 1000;  // Reasoning models can take minutes
+export const MAX_TRANSIENT_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+export function abortError() {
+  return modelError('ABORTED', 'Cancelled');
+}
+
+export function isAbortError(error) {
+  return error?.code === 'ABORTED';
+}
+
+export function isTransientError(error) {
+  if (error.code === 'MODEL_TIMEOUT') return true;
+  if (error instanceof OpenAI.APIConnectionError) return true;
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  if (error.code === 'MODEL_FAILED') {
+    return error.apiCode === 'server_error' || error.apiCode === 'rate_limit_exceeded';
+  }
+  // Network errors from fetch/undici
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error.code ?? error.cause?.code);
+}
+
+// 1s, 2s, 4s, ... with jitter, or whatever the server asked for
+export function backoffDelay(attempt, error) {
+  const retryAfter = Number(error?.headers?.get?.('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// setTimeout that rejects with an ABORTED error when `signal` fires
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Signal for one request: fires on `signal` or after timeoutMs (0 = no timeout).
+// translate() turns the resulting error into ABORTED / MODEL_TIMEOUT.
+export function requestSignal(signal, timeoutMs) {
+  const timeout = timeoutMs ? AbortSignal.timeout(timeoutMs) : null;
+  const signals = [signal, timeout].filter(Boolean);
+
+  return {
+    signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+    translate(error) {
+      if (signal?.aborted) return abortError();
+      if (timeout?.aborted) {
+        return modelError('MODEL_TIMEOUT', `Model request timed out after ${timeoutMs / 1000}s`);
+      }
+      return error;
+    }
+  };
+}
@@ -0,0 +1,24 @@
+// Per-run context
+// What a pipeline run scopes to itself lives in one async context, so runs side
+// by side never see each other's. Each module reads its own field and falls
+// back to its default outside a run:
+//   sample     the run's samples, formatted for prompts (index.js)
+//   models     per-prompt model settings (models.js via index.js)
+//   overrides  prompt template overrides (prompts.js)
+//   limits     cache TTL and size limits (cache.js)
+//   usage      the token usage tracker (usage.js)
+//   listeners  event listeners for this scope only (events.js)
+//   logger     where `log` goes (logger.js)
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export function getRunContext() {
+  return storage.getStore() ?? {};
+}
+
+// Run fn with `fields` set on top of the current context, including nested async calls
+export function withRunContext(fields, fn) {
+  return storage.run({ ...getRunContext(), ...fields }, fn);
+}
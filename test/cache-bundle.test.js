@@ -0,0 +1,39 @@
+import { tempDir } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { importCacheBundle, getCacheKey, CACHE_DIR, CACHE_SCHEMA_VERSION } from '../cache.js';
+import { stableStringify } from '../replay.js';
+
+// A bundle holding one entry for `stage` whose hash and key are consistent with it
+async function writeBundle(stage, key = null) {
+  const input = { variables: { spec: 'numbers' } };
+  const entry = { schemaVersion: CACHE_SCHEMA_VERSION, stage, input, output: 'start: NUMBER', timestamp: new Date().toISOString() };
+  const file = join(tempDir(), 'bundle.json');
+  await fs.writeFile(file, JSON.stringify({
+    format: 'lang-gen-cache-bundle',
+    version: 1,
+    entries: [{
+      stage,
+      key: key ?? getCacheKey(stage, input),
+      sha256: crypto.createHash('sha256').update(stableStringify(entry)).digest('hex'),
+      entry
+    }]
+  }));
+  return file;
+}
+
+test('a bundle entry cannot name a file outside the cache directory', async () => {
+  const file = await writeBundle('../escaped');
+
+  await assert.rejects(importCacheBundle(file), { code: 'CACHE_BUNDLE_INVALID', message: /is not a stage name/ });
+  assert.deepEqual((await fs.readdir(join(CACHE_DIR, '..'))).filter(name => name.startsWith('escaped-')), []);
+});
+
+test('a bundle entry key must be a SHA-256', async () => {
+  const file = await writeBundle('grammar', '../../escaped');
+
+  await assert.rejects(importCacheBundle(file), { code: 'CACHE_BUNDLE_INVALID', message: /is not a SHA-256 cache key/ });
+});
@@ -0,0 +1,54 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { pruneCache, CACHE_DIR, CACHE_SCHEMA_VERSION } from '../cache.js';
+import { withRunContext } from '../run-context.js';
+
+const DAY = 86_400_000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+let nextKey = 0;
+
+// An entry file `ageDays` old; `content` replaces the JSON (e.g. to make it unreadable)
+async function writeEntry(ageDays, { pinned = false, content = null } = {}) {
+  const key = (nextKey++).toString(16).padStart(64, '0');
+  const file = join(CACHE_DIR, `grammar-${key}.json`);
+  const time = new Date(NOW - ageDays * DAY);
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(file, content ?? JSON.stringify({
+    schemaVersion: CACHE_SCHEMA_VERSION, stage: 'grammar', key, input: {}, output: 'x'.repeat(100),
+    timestamp: time.toISOString(), ...(pinned ? { pinned } : {})
+  }));
+  await fs.utimes(file, time, time);
+  return key;
+}
+
+async function clearCache() {
+  await fs.rm(CACHE_DIR, { recursive: true, force: true });
+}
+
+test('prune removes expired entries and then the oldest until the cache fits, keeping pins', async () => {
+  await clearCache();
+  const expired = await writeEntry(40);
+  const pinned = await writeEntry(50, { pinned: true });
+  const oldest = await writeEntry(20);
+  const newest = await writeEntry(1);
+
+  const removed = await withRunContext({ limits: { ttlMs: 30 * DAY, maxBytes: 600 } }, () => pruneCache({ now: NOW }));
+
+  assert.deepEqual(removed.map(item => [item.key, item.reason]), [[expired, 'expired'], [oldest, 'size']]);
+  const left = (await fs.readdir(CACHE_DIR)).sort();
+  assert.deepEqual(left, [`grammar-${newest}.json`, `grammar-${pinned}.json`].sort());
+});
+
+test('prune after a write leaves unexpired entries unread; cache prune removes stale ones', async () => {
+  await clearCache();
+  const unreadable = await writeEntry(1, { content: '{' });
+
+  const afterWrite = await withRunContext({ limits: { ttlMs: 30 * DAY, maxBytes: 0 } }, () => pruneCache({ now: NOW }));
+  assert.deepEqual(afterWrite, []);
+
+  const removed = await pruneCache({ removeStale: true, now: NOW });
+  assert.deepEqual(removed.map(item => [item.key, item.reason]), [[unreadable, 'stale']]);
+});
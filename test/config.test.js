@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig } from '../config.js';
+
+test('an empty config section is a schema error', () => {
+  assert.deepEqual(validateConfig({ provider: null, models: { grammar: null } }), [
+    '"provider" must be an object, got null',
+    '"models.grammar" must be an object, got null'
+  ]);
+});
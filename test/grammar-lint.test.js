@@ -0,0 +1,64 @@
+import { EXAMPLE_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseLarkGrammar } from '../lark-subset.js';
+import { lintGrammar, formatLintFindings } from '../grammar-lint.js';
+
+// [check, line, column] of each finding
+function lint(source, { strict = true } = {}) {
+  return lintGrammar(parseLarkGrammar(source, { strict })).map(item => [item.check, item.line, item.column]);
+}
+
+test('operators in optional or repeated parts are filtered literals', () => {
+  assert.deepEqual(lint('start: NUMBER ("+" NUMBER)*\nNUMBER: /[0-9]+/\n'), [['filtered-literal', 1, 16]]);
+  assert.deepEqual(lint('start: expr ("==" expr)?\nexpr: NUMBER\nNUMBER: /[0-9]+/\n'), [['filtered-literal', 1, 14]]);
+});
+
+test('a lone "=" and delimiters are not operators', () => {
+  assert.deepEqual(lint('start: NAME ("=" expr)?\nexpr: NUMBER\nNAME: /[a-z]+/\nNUMBER: /[0-9]+/\n'), []);
+  assert.deepEqual(lint('start: "(" NUMBER ("," NUMBER)* ")"\nNUMBER: /[0-9]+/\n'), []);
+});
+
+test('!rule keeps its literals', () => {
+  assert.deepEqual(lint('!start: NUMBER ("+" NUMBER)*\nNUMBER: /[0-9]+/\n', { strict: false }), []);
+});
+
+test('the example grammar loses its "^" and ("+" | "-") to the tree', () => {
+  const grammar = readFileSync(`${EXAMPLE_DIR}grammar.lark`, 'utf8');
+  const findings = lintGrammar(parseLarkGrammar(grammar));
+
+  assert.deepEqual(findings.map(item => [item.check, item.severity, item.line, item.column]), [
+    ['filtered-literal', 'warning', 19, 15],
+    ['filtered-literal', 'warning', 21, 9]
+  ]);
+  assert.match(findings[0].message, /^Operator "\^" in rule "power"/);
+  assert.match(findings[1].message, /^Alternatives "\+" \| "-" in rule "unary" differ only in anonymous literals/);
+  assert.match(formatLintFindings(findings), /^line 19, column 15: Operator "\^" .* \[filtered-literal\]\nline 21, column 9: /);
+});
+
+test('undefined references are errors', () => {
+  assert.deepEqual(lint('start: missing MISSING\n'), [['undefined-reference', 1, 8], ['undefined-reference', 1, 16]]);
+});
+
+test('unreachable rules, unused tokens and duplicate definitions are found', () => {
+  assert.deepEqual(lint('start: item\nitem: NAME\nextra: NAME\nNAME: /[a-z]+/\nUNUSED: "x"\nitem: NUMBER\n'), [
+    ['unreachable-rule', 3, 1],
+    ['unused-token', 5, 1],
+    ['duplicate-definition', 6, 1],
+    ['undefined-reference', 6, 7]
+  ]);
+});
+
+test('a grammar without start is an error', () => {
+  assert.deepEqual(lint('rule: A\nA: "a"\n'), [['missing-start', 1, 1]]);
+});
+
+test('template parameters are not undefined references', () => {
+  assert.deepEqual(lint('start: _list{NAME, COMMA}\n_list{x, sep}: x (sep x)*\nNAME: /[a-z]+/\nCOMMA: ","\n', { strict: false }), []);
+});
+
+test('rules reached through %extend are reachable', () => {
+  assert.deepEqual(lint('start: a\na: NAME\nb: NAME\n%extend a: b\nNAME: /[a-z]+/\n', { strict: false }), []);
+  assert.deepEqual(lint('start: a\na: NAME\nb: NAME\nNAME: /[a-z]+/\n', { strict: false }), [['unreachable-rule', 3, 1]]);
+});
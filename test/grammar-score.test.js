@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countConflicts, scoreCandidate, rejectionReasons, formatCandidateTable } from '../grammar-score.js';
+
+// What lark 1.3 writes to stderr when building an LALR parser with debug=True
+const SHIFT_REDUCE_LOG = `Shift/Reduce conflict for terminal PLUS: (resolving as shift)
+ * <expr : expr PLUS expr>
+Shift/Reduce conflict for terminal TIMES: (resolving as shift)
+ * <expr : expr TIMES expr>
+`;
+
+const REDUCE_REDUCE_ERROR = `Traceback (most recent call last):
+  File "<string>", line 4, in <module>
+lark.exceptions.GrammarError: Reduce/Reduce collision in Terminal('$END') between the following rules:
+	- <a : NAME>
+	- <b : NAME>
+    collision occurred in state: {
+	<b : NAME * >
+	<a : NAME * >
+    }
+`;
+
+const candidate = (overrides) => ({
+  index: 1, generated: true, compiled: true, samplesParsed: 2, samplesTotal: 2,
+  conflicts: 0, aliasCoverage: 1, ruleCount: 4, ...overrides
+});
+
+test('conflicts are counted from lark debug output', () => {
+  assert.equal(countConflicts(SHIFT_REDUCE_LOG), 2);
+  assert.equal(countConflicts(REDUCE_REDUCE_ERROR), 1);
+  assert.equal(countConflicts(''), 0);
+});
+
+test('each conflict costs points, and unknown conflicts cost none', () => {
+  assert.equal(scoreCandidate(candidate({ conflicts: 0 })), 218);
+  assert.equal(scoreCandidate(candidate({ conflicts: 2 })), 198);
+  assert.equal(scoreCandidate(candidate({ conflicts: null })), 218);
+});
+
+test('conflicts are a rejection reason only when both counts are known', () => {
+  const best = candidate({ index: 2, conflicts: 0 });
+  assert.deepEqual(rejectionReasons(candidate({ conflicts: 1 }), best), ['1 LALR conflict(s) (chosen: 0)']);
+  assert.deepEqual(rejectionReasons(candidate({ conflicts: null }), best), ['same score as an earlier candidate']);
+});
+
+test('the candidate table shows unknown conflicts as "?"', () => {
+  const table = formatCandidateTable([candidate({ conflicts: null })], 1);
+  assert.match(table, /conflicts \?/);
+});
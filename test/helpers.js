@@ -0,0 +1,30 @@
+// Shared test setup. Imported before index.js: the cache flags are read when
+// cache.js loads, so tests never read or write the real cache.
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.LANG_GEN_CACHE_DIR = mkdtempSync(join(tmpdir(), 'lang-gen-test-cache-'));
+process.env.LANG_GEN_READ_CACHE = 'false';
+process.env.LANG_GEN_WRITE_CACHE = 'false';
+
+export const EXAMPLE_DIR = new URL('../example-output/output/', import.meta.url).pathname;
+
+export function tempDir(prefix = 'lang-gen-test-') {
+  return mkdtempSync(join(tmpdir(), prefix));
+}
+
+// A provider answering each request with the next of `texts`; `requests` collects what it was sent
+export function fakeProvider(texts) {
+  const requests = [];
+  return {
+    name: 'fake',
+    requests,
+    async *stream(request) {
+      const text = texts[requests.length];
+      requests.push(request);
+      yield { type: 'delta', text };
+      yield { type: 'done', usage: { inputTokens: 10, outputTokens: 5, reasoningTokens: 0 } };
+    }
+  };
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLarkGrammar } from '../lark-subset.js';
+import { lintGrammar } from '../grammar-lint.js';
+
+// Valid Lark outside the strict subset
+const HAND_WRITTEN = `?start: stmt*
+!stmt: assign | expr ";"
+assign.2: NAME "=" expr ";"
+?expr: _sep{term, ADD_OP}
+_sep{x, sep}: x (sep x)*
+term: NUMBER | NAME | "(" [args] ")" | LETTER
+args: | expr ("," expr)*
+LETTER: "a".."z"
+ADD_OP.2: "+" | "-"
+%import common.CNAME -> NAME
+%import common (NUMBER, WS)
+%declare _INDENT
+%extend term: _INDENT
+%ignore WS
+`;
+
+test('hand-written grammars may use any Lark syntax', () => {
+  const ast = parseLarkGrammar(HAND_WRITTEN, { strict: false });
+
+  assert.deepEqual(lintGrammar(ast), []);
+  assert.deepEqual(ast.statements.slice(0, 3).map(rule => [rule.name, rule.modifiers, rule.priority]), [
+    ['start', '?', null],
+    ['stmt', '!', null],
+    ['assign', '', 2]
+  ]);
+});
+
+test('generated grammars are held to the strict subset', () => {
+  assert.throws(() => parseLarkGrammar(HAND_WRITTEN), { code: 'GRAMMAR_SYNTAX' });
+  assert.throws(() => parseLarkGrammar('start: A\n%declare A\n'), { code: 'GRAMMAR_SYNTAX', message: /Unsupported directive "%declare"/ });
+});
+
+test('syntax errors Lark would reject are still reported outside the strict subset', () => {
+  assert.throws(() => parseLarkGrammar("start: 'x'\n", { strict: false }), { message: /Single-quoted string 'x'/ });
+  assert.throws(() => parseLarkGrammar('start: ("x"\n', { strict: false }), { message: /Expected "\)" to close the group/ });
+});
@@ -0,0 +1,43 @@
+import { tempDir } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { compileGrammar, silentLogger } from '../index.js';
+import { getCacheKey, CACHE_DIR, CACHE_SCHEMA_VERSION } from '../cache.js';
+import { withLogger } from '../logger.js';
+
+// There is no lark-js here; the cached parsers are looked up by this version
+process.env.LANG_GEN_LARK_JS_VERSION = '0.1.0';
+
+const GRAMMAR = 'start: NUMBER\nNUMBER: /[0-9]+/\n';
+
+// Cache a parser for GRAMMAR as if lark-js `version` had compiled it
+async function cacheParser(version, parser) {
+  const input = { grammarText: GRAMMAR, larkJsVersion: version, options: [], patch: 1 };
+  const key = getCacheKey('parser', input);
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(join(CACHE_DIR, `parser-${key}.json`), JSON.stringify({
+    schemaVersion: CACHE_SCHEMA_VERSION, stage: 'parser', key, input,
+    output: { parser, stderr: '' }, usage: null, timestamp: new Date().toISOString()
+  }));
+}
+
+test('a cached parser is used with model cache reads off', async () => {
+  await cacheParser('0.1.0', '// parser from 0.1.0\n');
+  const dir = tempDir();
+
+  const result = await withLogger(silentLogger, () => compileGrammar(GRAMMAR, dir, 1));
+
+  assert.equal(result.larkJsVersion, '0.1.0');
+  assert.equal(await fs.readFile(join(dir, 'parser.cjs'), 'utf8'), '// parser from 0.1.0\n');
+});
+
+test('a parser cached by another lark-js version is not used', async () => {
+  await fs.rm(CACHE_DIR, { recursive: true, force: true });
+  await cacheParser('0.0.9', '// parser from 0.0.9\n');
+  const dir = tempDir();
+
+  await assert.rejects(withLogger(silentLogger, () => compileGrammar(GRAMMAR, dir, 1)));
+  assert.notEqual(await fs.readFile(join(dir, 'parser.cjs'), 'utf8').catch(() => null), '// parser from 0.0.9\n');
+});
@@ -0,0 +1,58 @@
+import { tempDir, fakeProvider, EXAMPLE_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { createPipeline, silentLogger } from '../index.js';
+import { onEvent } from '../events.js';
+
+const GRAMMAR = 'start: NUMBER\nNUMBER: /[0-9]+/\n';
+
+test('pipelines running side by side keep their samples, budgets and usage apart', async () => {
+  const pipelineFor = (sample, budget) => {
+    const provider = fakeProvider([GRAMMAR]);
+    const pipeline = createPipeline({
+      command: 'grammar', spec: 'numbers', samples: [sample], output: tempDir(),
+      maxTokensBudget: budget, logger: silentLogger, provider
+    });
+    return { pipeline, provider };
+  };
+  const first = pipelineFor('first_sample', 1000);
+  const second = pipelineFor('second_sample', 2000);
+
+  const [firstResult, secondResult] = await Promise.all([first.pipeline.run(), second.pipeline.run()]);
+
+  assert.match(JSON.stringify(first.provider.requests), /first_sample/);
+  assert.doesNotMatch(JSON.stringify(first.provider.requests), /second_sample/);
+  assert.match(JSON.stringify(second.provider.requests), /second_sample/);
+  assert.doesNotMatch(JSON.stringify(second.provider.requests), /first_sample/);
+
+  for (const [result, budget] of [[firstResult, 1000], [secondResult, 2000]]) {
+    assert.equal(result.usage.budget, budget);
+    assert.equal(result.usage.calls.length, 1);
+    assert.equal(result.usage.total.inputTokens, 10);
+  }
+});
+
+test('a test aborted by the fail policy still reports its sample', async () => {
+  const output = tempDir();
+  await fs.cp(EXAMPLE_DIR, output, { recursive: true });
+  const events = [];
+  const stop = onEvent(event => events.push(event));
+
+  const pipeline = createPipeline({ command: 'test', samples: ['1+'], output, onTestFailure: 'fail', logger: silentLogger, provider: fakeProvider([]) });
+  await assert.rejects(pipeline.run(), { exitCode: 5 });
+  stop();
+
+  const result = events.find(event => event.type === 'test.result');
+  assert.equal(result?.success, false);
+  assert.match(result.error, /^UnexpectedToken/);
+});
+
+test('few-shot references are off while recording or replaying', () => {
+  for (const dir of ['recordDir', 'replayDir']) {
+    const pipeline = createPipeline({ command: 'grammar', spec: 'numbers', output: tempDir(), [dir]: tempDir(), logger: silentLogger, provider: fakeProvider([]) });
+    assert.equal(pipeline.context.args.fewShot, false);
+  }
+  const pipeline = createPipeline({ command: 'grammar', spec: 'numbers', output: tempDir(), logger: silentLogger, provider: fakeProvider([]) });
+  assert.equal(pipeline.context.args.fewShot, true);
+});
@@ -0,0 +1,68 @@
+import { tempDir } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { renderPrompt, promptVersion, readPromptOverrides, PROMPT_VERSIONS } from '../prompts.js';
+import { withRunContext } from '../run-context.js';
+
+// A prompts directory holding `files` ({ <file name>: text })
+async function promptsDir(files) {
+  const dir = tempDir();
+  for (const [name, text] of Object.entries(files)) {
+    await fs.writeFile(join(dir, name), text);
+  }
+  return dir;
+}
+
+const FIX_VARIABLES = { grammarText: 'start: NUMBER', astNotes: '{}', semantics: 'evaluate', sample: '1', errorMessage: 'boom', sampleCode: '1' };
+
+test('sections are kept only when their variable is set', () => {
+  const automatic = renderPrompt('interpreterFix', FIX_VARIABLES);
+  assert.doesNotMatch(automatic.instructions, /USER'S FIX INSTRUCTIONS/);
+
+  const withUser = renderPrompt('interpreterFix', { ...FIX_VARIABLES, userInstructions: 'handle x', currentCode: 'old code' });
+  assert.match(withUser.instructions, /USER'S FIX INSTRUCTIONS:\nhandle x\n/);
+  assert.match(withUser.instructions, /<<<CURRENT_CODE\nold code\nCURRENT_CODE>>>/);
+});
+
+test('includes are rendered and inserted values are never read as template syntax', () => {
+  const { instructions, input } = renderPrompt('interpreterFix', { ...FIX_VARIABLES, errorMessage: '{{semantics}} {{> interpreter.input}}' });
+
+  assert.match(instructions, /failed with this error:\n\{\{semantics\}\} \{\{> interpreter\.input\}\}\n/);
+  assert.doesNotMatch(instructions, /\{\{> interpreter\.requirements\}\}/);
+  assert.equal(input, renderPrompt('interpreter', FIX_VARIABLES).input);
+});
+
+test('overrides replace templates and change the prompt version', async () => {
+  const overrides = await readPromptOverrides(await promptsDir({ 'example.input.txt': 'Write {{spec}} code' }));
+
+  await withRunContext({ overrides }, () => {
+    assert.equal(renderPrompt('example', { spec: 'calc' }).input, 'Write calc code');
+    assert.match(promptVersion('example'), new RegExp(`^${PROMPT_VERSIONS.example}\\+custom\\.[0-9a-f]{8}$`));
+    assert.equal(promptVersion('grammar'), String(PROMPT_VERSIONS.grammar));
+  });
+  assert.equal(promptVersion('example'), String(PROMPT_VERSIONS.example));
+});
+
+test('overriding an included template changes the version of prompts that include it', async () => {
+  const overrides = await readPromptOverrides(await promptsDir({ 'interpreter.input.txt': 'Grammar: {{grammarText}}' }));
+
+  await withRunContext({ overrides }, () => {
+    assert.notEqual(promptVersion('interpreterFix'), String(PROMPT_VERSIONS.interpreterFix));
+  });
+});
+
+test('invalid overrides are rejected with PROMPT_INVALID', async () => {
+  const cases = [
+    [{ 'grammar.output.txt': 'x' }, /Unknown prompt template .*grammar\.output\.txt/],
+    [{ 'example.input.txt': '{{grammar}}' }, /Template example\.input uses unknown variable \{\{grammar\}\}/],
+    [{ 'example.input.txt': '{{#nope}}x{{/nope}}' }, /uses unknown variable \{\{nope\}\}/],
+    [{ 'example.input.txt': '{{> missing.part}}' }, /includes unknown template "missing\.part"/],
+    [{ 'interpreter.input.txt': '{{> interpreterFix.input}}' }, /includes itself/]
+  ];
+  for (const [files, message] of cases) {
+    await assert.rejects(readPromptOverrides(await promptsDir(files)), { code: 'PROMPT_INVALID', message });
+  }
+  await assert.rejects(readPromptOverrides(join(tempDir(), 'missing')), { code: 'PROMPT_INVALID', message: /Could not read prompts directory/ });
+});
@@ -0,0 +1,77 @@
+import { tempDir } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { createOpenAIProvider, collectStream } from '../providers.js';
+import { createRecordingClient, createReplayClient } from '../replay.js';
+
+const REQUEST = { model: 'test-model', instructions: 'Answer briefly.', input: 'Say hello' };
+const USAGE = { input_tokens: 10, output_tokens: 5, output_tokens_details: { reasoning_tokens: 0 } };
+
+async function* streamEvents(text) {
+  yield { type: 'response.created' };
+  yield { type: 'response.output_text.delta', delta: text };
+  yield { type: 'response.completed', response: { usage: USAGE } };
+}
+
+// A Responses API client answering every request with `text`; `calls` counts the requests
+function fakeClient(text) {
+  const client = {
+    calls: 0,
+    responses: {
+      async create(params) {
+        client.calls++;
+        if (params.stream) return streamEvents(text);
+        return {
+          status: 'completed',
+          output: [{ type: 'message', content: [{ type: 'output_text', text }] }],
+          usage: USAGE
+        };
+      }
+    }
+  };
+  return client;
+}
+
+function recordingProvider(client, dir) {
+  return createOpenAIProvider({ wrapClient: () => createRecordingClient(() => client, { dir }) });
+}
+
+function replayingProvider(dir) {
+  return createOpenAIProvider({ wrapClient: () => createReplayClient({ dir }) });
+}
+
+test('a recorded response replays without the client', async () => {
+  const dir = tempDir();
+  const client = fakeClient('hello');
+
+  const recorded = await recordingProvider(client, dir).generate(REQUEST);
+  assert.equal(recorded.text, 'hello');
+  assert.equal((await fs.readdir(dir)).length, 1);
+
+  const replayed = await replayingProvider(dir).generate(REQUEST);
+  assert.deepEqual(replayed, recorded);
+  assert.equal(client.calls, 1);
+});
+
+test('replaying a request that was never recorded fails with FIXTURE_MISSING', async () => {
+  const dir = tempDir();
+  await recordingProvider(fakeClient('hello'), dir).generate(REQUEST);
+
+  await assert.rejects(
+    replayingProvider(dir).generate({ ...REQUEST, input: 'Say goodbye' }),
+    { code: 'FIXTURE_MISSING' }
+  );
+});
+
+test('a recorded stream replays without the client', async () => {
+  const dir = tempDir();
+  const client = fakeClient('hello');
+
+  const recorded = await collectStream(recordingProvider(client, dir), REQUEST, { stage: 'test' });
+  assert.equal(recorded.text, 'hello');
+
+  const replayed = await collectStream(replayingProvider(dir), REQUEST, { stage: 'test' });
+  assert.deepEqual(replayed, recorded);
+  assert.equal(client.calls, 1);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeResponseStream, decodeResponse } from '../responses.js';
+import { withLogger } from '../logger.js';
+
+const USAGE = { input_tokens: 10, output_tokens: 5, output_tokens_details: { reasoning_tokens: 2 } };
+const NORMALIZED = { inputTokens: 10, outputTokens: 5, reasoningTokens: 2 };
+
+async function* eventsOf(list) {
+  yield* list;
+}
+
+async function decodeAll(list) {
+  const chunks = [];
+  for await (const chunk of decodeResponseStream(eventsOf(list))) chunks.push(chunk);
+  return chunks;
+}
+
+test('a completed stream yields its deltas and usage', async () => {
+  const chunks = await decodeAll([
+    { type: 'response.created' },
+    { type: 'response.output_text.delta', delta: 'start: ' },
+    { type: 'response.custom_tool_call_input.delta', delta: 'NUMBER' },
+    { type: 'response.completed', response: { usage: USAGE } }
+  ]);
+
+  assert.deepEqual(chunks, [
+    { type: 'delta', text: 'start: ' },
+    { type: 'delta', text: 'NUMBER' },
+    { type: 'done', usage: NORMALIZED }
+  ]);
+});
+
+test('a streamed refusal is an error, not empty text', async () => {
+  await assert.rejects(decodeAll([
+    { type: 'response.refusal.delta', delta: 'I cannot ' },
+    { type: 'response.refusal.delta', delta: 'help with that' },
+    { type: 'response.refusal.done' },
+    { type: 'response.completed', response: { usage: USAGE } }
+  ]), { code: 'MODEL_REFUSAL', refusal: 'I cannot help with that', message: 'Model refused the request: I cannot help with that', usage: NORMALIZED });
+});
+
+test('an incomplete stream keeps the text that arrived and the reason', async () => {
+  await assert.rejects(decodeAll([
+    { type: 'response.output_text.delta', delta: 'start: ' },
+    { type: 'response.incomplete', response: { incomplete_details: { reason: 'max_output_tokens' }, usage: USAGE } }
+  ]), { code: 'MODEL_INCOMPLETE', reason: 'max_output_tokens', text: 'start: ', usage: NORMALIZED });
+});
+
+test('a stream that ends before response.completed is incomplete', async () => {
+  await assert.rejects(decodeAll([{ type: 'response.output_text.delta', delta: 'start' }]),
+    { code: 'MODEL_INCOMPLETE', reason: 'stream_ended', text: 'start' });
+});
+
+test('failed streams and stream errors are MODEL_FAILED', async () => {
+  await assert.rejects(decodeAll([{ type: 'response.failed', response: { error: { code: 'server_error', message: 'overloaded' } } }]),
+    { code: 'MODEL_FAILED', apiCode: 'server_error', message: 'Model request failed: overloaded' });
+  await assert.rejects(decodeAll([{ type: 'error', code: 'rate_limit', message: 'slow down' }]),
+    { code: 'MODEL_FAILED', apiCode: 'rate_limit' });
+});
+
+test('unknown stream events are warned about once', async () => {
+  const warnings = [];
+  const chunks = await withLogger({ warn: (...args) => warnings.push(args.join(' ')) }, () => decodeAll([
+    { type: 'response.something_new' },
+    { type: 'response.something_new' },
+    { type: 'response.completed', response: { usage: USAGE } }
+  ]));
+
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(warnings, ['Warning: ignoring unexpected response stream event "response.something_new"']);
+});
+
+test('a finished response is decoded the same way', () => {
+  const message = (...content) => ({ output: [{ type: 'message', content }], usage: USAGE });
+
+  assert.deepEqual(decodeResponse({ status: 'completed', ...message({ type: 'output_text', text: 'hello' }) }), { text: 'hello', usage: NORMALIZED });
+  assert.deepEqual(decodeResponse({ status: 'completed', output: [{ type: 'custom_tool_call', input: 'start: A' }], usage: USAGE }).text, 'start: A');
+  assert.throws(() => decodeResponse({ status: 'completed', ...message({ type: 'refusal', refusal: 'no' }) }),
+    { code: 'MODEL_REFUSAL', refusal: 'no' });
+  assert.throws(() => decodeResponse({ status: 'incomplete', incomplete_details: { reason: 'content_filter' }, ...message({ type: 'output_text', text: 'par' }) }),
+    { code: 'MODEL_INCOMPLETE', reason: 'content_filter', text: 'par' });
+  assert.throws(() => decodeResponse({ status: 'failed', error: { message: 'bad' } }), { code: 'MODEL_FAILED', message: 'Model request failed: bad' });
+});
@@ -0,0 +1,70 @@
+import { tempDir, fakeProvider, EXAMPLE_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { testGeneratedCode, silentLogger } from '../index.js';
+import { withLogger } from '../logger.js';
+
+test('autofix retries a failing interpreter until a fix passes', async () => {
+  const dir = tempDir();
+  const parserFile = join(dir, 'parser.cjs');
+  const interpreterFile = join(dir, 'interpreter.mjs');
+  await fs.copyFile(join(EXAMPLE_DIR, 'parser.cjs'), parserFile);
+  await fs.writeFile(interpreterFile, 'export function makeRunner() { return async () => { throw new Error("broken"); }; }\n');
+
+  const provider = fakeProvider([
+    'async function evaluate() { throw new Error("still broken"); }',
+    'async function evaluate(ast) { return ast.type; }'
+  ]);
+  const grammarText = await fs.readFile(join(EXAMPLE_DIR, 'grammar.lark'), 'utf8');
+
+  const result = await withLogger(silentLogger, () => testGeneratedCode(
+    parserFile, interpreterFile, 'x = 1;', 'calc', grammarText, { rules: [], tokens: [], aliases: [], nodeTypes: [] }, 'evaluate',
+    3, { nonInteractive: true, onTestFailure: 'autofix', provider }
+  ));
+
+  assert.deepEqual(result, { success: true, result: 'start', fixAttempts: 2 });
+  assert.equal(provider.requests.length, 2);
+  const fixed = await fs.readFile(interpreterFile, 'utf8');
+  assert.match(fixed, /^\/\* PRELUDE injected by lang-gen \*\/\nexport function makeRunner/);
+  assert.match(fixed, /return ast\.type/);
+});
+
+test('a sample that does not parse is reported with the parse error', async () => {
+  const grammarText = await fs.readFile(join(EXAMPLE_DIR, 'grammar.lark'), 'utf8');
+
+  const result = await withLogger(silentLogger, () => testGeneratedCode(
+    join(EXAMPLE_DIR, 'parser.cjs'), join(EXAMPLE_DIR, 'interpreter.mjs'), '1+', 'calc', grammarText,
+    { rules: [], tokens: [], aliases: [], nodeTypes: [] }, 'evaluate', 0, { nonInteractive: true, onTestFailure: 'continue' }
+  ));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /^UnexpectedToken at line 1, column 2; expected one of: /);
+});
+
+test('what the interpreter prints goes to the log, not stdout', async () => {
+  const dir = tempDir();
+  const interpreterFile = join(dir, 'interpreter.mjs');
+  await fs.writeFile(interpreterFile, 'export function makeRunner() { return async () => { console.log("printed"); return 3; }; }\n');
+  const grammarText = await fs.readFile(join(EXAMPLE_DIR, 'grammar.lark'), 'utf8');
+  const logged = [];
+  const logger = { ...silentLogger, write: chunk => logged.push(String(chunk)) };
+
+  const stdout = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => stdout.push(String(chunk));
+  let result;
+  try {
+    result = await withLogger(logger, () => testGeneratedCode(
+      join(EXAMPLE_DIR, 'parser.cjs'), interpreterFile, 'x = 1;', 'calc', grammarText,
+      { rules: [], tokens: [], aliases: [], nodeTypes: [] }, 'evaluate', 0, { nonInteractive: true }
+    ));
+  } finally {
+    process.stdout.write = write;
+  }
+
+  assert.deepEqual(result, { success: true, result: 3 });
+  assert.deepEqual(stdout, []);
+  assert.deepEqual(logged, ['printed\n']);
+});
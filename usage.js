@@ -0,0 +1,131 @@
+// Token usage accounting
+// Records the token counts of every model response, enforces an optional
+// budget before each request, and summarises usage per stage.
+
+import { emitEvent } from './events.js';
+import { getRunContext } from './run-context.js';
+
+// Each pipeline run counts into its own tracker (`usage` in run-context.js);
+// calls made outside a run share a default one.
+const defaultTracker = createUsageTracker();
+
+// budget = 0 means no budget
+export function createUsageTracker({ budget = 0 } = {}) {
+  return { maxTokens: budget, records: [] };
+}
+
+function currentTracker() {
+  return getRunContext().usage ?? defaultTracker;
+}
+
+// Rough prompt size; ~4 characters per token is close enough for estimates
+export function estimateTokens(...texts) {
+  return Math.ceil(texts.reduce((chars, text) => chars + (text || '').length, 0) / 4);
+}
+
+// Normalize the `usage` object of a Responses API result
+export function normalizeUsage(usage) {
+  return {
+    inputTokens: usage?.input_tokens ?? usage?.inputTokens ?? 0,
+    outputTokens: usage?.output_tokens ?? usage?.outputTokens ?? 0,
+    reasoningTokens: usage?.output_tokens_details?.reasoning_tokens ?? usage?.reasoningTokens ?? 0
+  };
+}
+
+export function sumUsage(list) {
+  const total = { inputTokens: 0, outputTokens: 0, reasoningTokens: 0 };
+  for (const usage of list) {
+    total.inputTokens += usage.inputTokens;
+    total.outputTokens += usage.outputTokens;
+    total.reasoningTokens += usage.reasoningTokens;
+  }
+  return total;
+}
+
+// Reasoning tokens are already included in the output count
+function totalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens;
+}
+
+export function usedTokens() {
+  return totalTokens(sumUsage(currentTracker().records.filter(record => !record.cached)));
+}
+
+// Record one model response and return its normalized counts. Calls are
+// numbered per stage, so retries and fix attempts show up as attempt 2, 3, ...
+export function recordUsage(stage, usage, model = null) {
+  const counts = normalizeUsage(usage);
+  const { records } = currentTracker();
+  const record = {
+    stage,
+    attempt: records.filter(r => r.stage === stage && !r.cached).length + 1,
+    cached: false,
+    model,
+    ...counts
+  };
+  records.push(record);
+  emitEvent('usage', record);
+  return counts;
+}
+
+// A cache hit: counts as tokens saved, not spent
+export function recordCachedUsage(stage, usage) {
+  if (!usage) return;
+  currentTracker().records.push({ stage, attempt: 0, cached: true, ...normalizeUsage(usage) });
+}
+
+// Throw before a request that would take the run over budget.
+// Only the prompt can be estimated up front, so output tokens are not included.
+export function checkTokenBudget(stage, estimatedTokens) {
+  const { maxTokens } = currentTracker();
+  if (!maxTokens) return;
+
+  const used = usedTokens();
+  if (used + estimatedTokens > maxTokens) {
+    const error = new Error(`Token budget exceeded: ${used} of ${maxTokens} tokens used, the next ${stage} request needs ~${estimatedTokens} more`);
+    error.code = 'TOKEN_BUDGET_EXCEEDED';
+    throw error;
+  }
+}
+
+export function getUsageSummary() {
+  const { maxTokens, records } = currentTracker();
+  const spent = records.filter(record => !record.cached);
+  const stages = {};
+  for (const record of spent) {
+    stages[record.stage] ??= { calls: 0, models: [], inputTokens: 0, outputTokens: 0, reasoningTokens: 0 };
+    const stage = stages[record.stage];
+    stage.calls++;
+    if (record.model && !stage.models.includes(record.model)) stage.models.push(record.model);
+    stage.inputTokens += record.inputTokens;
+    stage.outputTokens += record.outputTokens;
+    stage.reasoningTokens += record.reasoningTokens;
+  }
+
+  const total = sumUsage(spent);
+  return {
+    budget: maxTokens || null,
+    total: { ...total, totalTokens: totalTokens(total) },
+    savedByCache: totalTokens(sumUsage(records.filter(record => record.cached))),
+    stages,
+    calls: records.map(record => ({ ...record }))
+  };
+}
+
+export function formatUsageSummary(summary) {
+  const row = (label, calls, usage) =>
+    `  ${label.padEnd(15)} ${String(calls).padStart(2)} call(s)  in ${usage.inputTokens}  out ${usage.outputTokens} (reasoning ${usage.reasoningTokens})`;
+
+  const lines = ['Token usage:'];
+  for (const [stage, usage] of Object.entries(summary.stages)) {
+    lines.push(`${row(stage, usage.calls, usage)}${usage.models.length > 0 ? `  [${usage.models.join(', ')}]` : ''}`);
+  }
+
+  const { total, budget } = summary;
+  const calls = Object.values(summary.stages).reduce((sum, usage) => sum + usage.calls, 0);
+  lines.push(`${row('total', calls, total)}  = ${total.totalTokens}${budget ? ` of ${budget} budget` : ''}`);
+  if (summary.savedByCache > 0) {
+    lines.push(`  ${summary.savedByCache} tokens saved by cache hits`);
+  }
+  return lines.join('\n');
+}
@@ -3,45 +3,31 @@
 
 import { promises as fs } from 'fs';
 import { join } from 'path';
-import OpenAI from 'openai';
+import { log } from './logger.js';
+import { getDefaultProvider, collectStream } from './providers.js';
+import { checkTokenBudget, estimateTokens } from './usage.js';
+import { isAbortError } from './retry.js';
+import { resolveModelSettings } from './models.js';
+import { renderPrompt } from './prompts.js';
 
-const client = new OpenAI({});
+// Build the TextMate request. Shared by generation and --plan.
+export function buildTextMatePrompt(grammarText, languageId, languageName, spec) {
+  return renderPrompt('textmate', { spec, languageId, languageName, grammarText });
+}
 
 // Generate TextMate grammar using AI
-export async function generateTextMateGrammar(grammarText, languageId, languageName, spec) {
-  const model = process.env.OPENAI_MODEL || 'gpt-5';
-  console.error('Generating TextMate grammar for syntax highlighting...');
+// `model` is a model name or { model, reasoningEffort, verbosity } (see models.js)
+export async function generateTextMateGrammar(grammarText, languageId, languageName, spec, model = resolveModelSettings().textmate, provider = getDefaultProvider(), signal) {
+  const settings = typeof model === 'string' ? { model } : model;
+  log.info('Generating TextMate grammar for syntax highlighting...');
   
-  const instructions = `You are a TextMate grammar expert.
-Generate a complete TextMate grammar (JSON format) for VSCode syntax highlighting.
-Output ONLY the JSON grammar, no explanations or markdown.`;
-  
-  const input = `Generate a TextMate grammar for this language:
-
-Language spec: ${spec}
-Language ID: ${languageId}
-Language name: ${languageName}
-Scope name: source.${languageId}
-
-Lark grammar:
-${grammarText}
-
-Requirements:
-- Include patterns for all tokens and keywords from the grammar
-- Use standard TextMate scopes (comment.line, keyword.control, constant.numeric, string.quoted, etc.)
-- Support nested patterns where appropriate
-- Include repository definitions for reusable patterns
-- Make sure operators, keywords, strings, numbers, comments are all properly highlighted`;
+  const { instructions, input } = buildTextMatePrompt(grammarText, languageId, languageName, spec);
+  // Outside the try: running out of budget must stop the run, not fall back
+  checkTokenBudget('textmate', estimateTokens(instructions, input));
   
   try {
-    const response = await client.responses.create({
-      model,
-      instructions,
-      input,
-      stream: false
-    });
-    
-    const grammarJson = response.output_text || response.output || '{}';
+    const response = await collectStream(provider, { ...settings, instructions, input }, { stage: 'textmate', signal });
+    const grammarJson = response.text || '{}';
     
     // Try to parse it to ensure it's valid JSON
     try {
@@ -52,12 +38,13 @@ Requirements:
       if (!parsed.patterns) parsed.patterns = [];
       return parsed;
     } catch (parseError) {
-      console.error('Warning: Failed to parse generated TextMate grammar, using fallback');
+      log.warn('Warning: Failed to parse generated TextMate grammar, using fallback');
       // Fall back to the simple extraction method
       return larkToTextMateBasic(grammarText, languageId, languageName);
     }
   } catch (error) {
-    console.error('Warning: Failed to generate TextMate grammar:', error.message);
+    if (isAbortError(error)) throw error;
+    log.warn('Warning: Failed to generate TextMate grammar:', error.message);
     // Fall back to the simple extraction method
     return larkToTextMateBasic(grammarText, languageId, languageName);
   }
@@ -246,7 +233,12 @@ export async function generateVSCodeExtension(options) {
     exampleProgram = '',
     interpreterPath = '',
     parserPath = '',
-    spec = ''
+    spec = '',
+    model,
+    modelSettings = model,
+    provider,
+    signal,
+    textMateGrammar: providedTextMateGrammar  // Skips the TextMate request when given
   } = options;
   
   // Create extension directory structure
@@ -261,7 +253,8 @@ export async function generateVSCodeExtension(options) {
   await fs.mkdir(examplesDir, { recursive: true });
   
   // Generate TextMate grammar
-  const textMateGrammar = await generateTextMateGrammar(grammarText, languageId, languageName, spec);
+  const textMateGrammar = providedTextMateGrammar
+    ?? await generateTextMateGrammar(grammarText, languageId, languageName, spec, modelSettings, provider, signal);
   const grammarFile = join(syntaxDir, `${languageId}.tmLanguage.json`);
   await fs.writeFile(grammarFile, JSON.stringify(textMateGrammar, null, 2), 'utf8');
   
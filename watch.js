@@ -0,0 +1,38 @@
+// File watching for --watch
+// Watches the parent directory of each file rather than the file itself, so
+// editors that save by writing a new file and renaming it keep triggering.
+
+import { watch } from 'fs';
+import { dirname, basename, join, resolve } from 'path';
+
+// Calls onChange(changedFiles) once things have been quiet for debounceMs.
+// Returns a function that stops watching.
+export function watchFiles(files, onChange, { debounceMs = 200 } = {}) {
+  const namesByDir = new Map();
+  for (const file of files) {
+    const absolute = resolve(file);
+    const dir = dirname(absolute);
+    if (!namesByDir.has(dir)) namesByDir.set(dir, new Set());
+    namesByDir.get(dir).add(basename(absolute));
+  }
+
+  const pending = new Set();
+  let timer = null;
+
+  const watchers = [...namesByDir].map(([dir, names]) => watch(dir, (eventType, filename) => {
+    if (!filename || !names.has(filename.toString())) return;
+
+    pending.add(join(dir, filename.toString()));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending];
+      pending.clear();
+      onChange(changed);
+    }, debounceMs);
+  }));
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers) watcher.close();
+  };
+}